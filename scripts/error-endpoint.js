@@ -0,0 +1,67 @@
+/**
+ * Local Error Endpoint Stub
+ * Receives error report batches from the ErrorReporter and prints them, so
+ * reporting can be tested without a real backend.
+ *
+ * Usage:  npm run errors:stub [-- --port 4318 --fail]
+ * Then:   app.errors.configure({ endpoint: 'http://localhost:4318/errors' })
+ *
+ * --fail makes every request respond with 503 to exercise the retry queue.
+ */
+
+const http = require('http');
+
+const args = process.argv.slice(2);
+const portIndex = args.indexOf('--port');
+const port = portIndex !== -1 ? Number(args[portIndex + 1]) : 4318;
+const shouldFail = args.includes('--fail');
+
+const server = http.createServer((req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        res.end();
+        return;
+    }
+
+    if (req.method !== 'POST') {
+        res.writeHead(405);
+        res.end();
+        return;
+    }
+
+    let body = '';
+    req.on('data', chunk => {
+        body += chunk;
+    });
+
+    req.on('end', () => {
+        if (shouldFail) {
+            console.log(`Rejected batch (${body.length} bytes)`);
+            res.writeHead(503);
+            res.end();
+            return;
+        }
+
+        try {
+            const { reports = [] } = JSON.parse(body);
+            console.log(`Received ${reports.length} report(s)`);
+            reports.forEach(report => {
+                console.log(`  [${report.module || 'app'}] ${report.name}: ${report.message}`);
+            });
+            res.writeHead(204);
+        } catch (error) {
+            console.log('Invalid payload:', error.message);
+            res.writeHead(400);
+        }
+
+        res.end();
+    });
+});
+
+server.listen(port, () => {
+    console.log(`Error endpoint stub listening on http://localhost:${port}/errors`);
+});
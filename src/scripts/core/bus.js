@@ -0,0 +1,67 @@
+/**
+ * Event Bus
+ * App-wide publish/subscribe channel shared by every module
+ *
+ * Built-in events:
+ *   app:ready             - all modules have started
+ *   app:unload            - page is about to unload
+ *   loader:progress       - { progress } from 0 to 1
+ *   loader:complete       - { timedOut, duration }
+ *   visibility:hidden     - tab was hidden
+ *   visibility:visible    - tab became visible again
+ *   section:change        - { id, previous, source }; source is 'scroll', 'navigate',
+ *                           'route' or 'restore'
+ *   sections:update       - { ids } when sections are added, removed or renamed
+ *   project:open          - { id }
+ *   project:close         - { id }
+ *   route:change          - { route, previous, action }; action is 'push', 'replace' or 'pop'
+ *   theme:change          - { theme }
+ *   motion:change         - { level, previous }; level is 'full', 'reduced' or 'none'
+ *   quality:change        - { tier, previous, reason }; reason is 'device', 'fps',
+ *                           'longtasks', 'recovered' or 'manual'
+ *   easter-egg:activate   - { name }
+ *   easter-egg:deactivate - { name }
+ *   form:submitted        - { data }
+ *   form:error            - { error }
+ */
+
+import { events } from '../../utils/index.js';
+
+const WILDCARD = '*';
+
+export class EventBus {
+    constructor() {
+        this.target = new EventTarget();
+    }
+
+    /**
+     * Subscribe to an event, or to every event with '*'
+     * @param {string} name - Event name
+     * @param {Function} handler - Called with (detail, name)
+     * @returns {Function} Unsubscribe function
+     */
+    on(name, handler) {
+        const listener = name === WILDCARD
+            ? event => handler(event.detail.detail, event.detail.name)
+            : event => handler(event.detail, name);
+
+        return events.on(this.target, name, listener);
+    }
+
+    once(name, handler) {
+        const off = this.on(name, (detail, eventName) => {
+            off();
+            handler(detail, eventName);
+        });
+
+        return off;
+    }
+
+    emit(name, detail = {}) {
+        events.trigger(this.target, name, detail);
+        events.trigger(this.target, WILDCARD, { name, detail });
+    }
+}
+
+// Shared instance used by the app and all modules
+export const bus = new EventBus();
@@ -0,0 +1,659 @@
+/**
+ * Configuration
+ * Default config tree for the app and every manager, plus resolution of
+ * overrides from the constructor, a JSON <script> block and data-* attributes
+ *
+ * Precedence (lowest to highest):
+ *   defaults < new PortfolioApp(config) < <script id="portfolio-config"> < data-* attributes
+ */
+
+import { string } from '../../utils/index.js';
+
+/**
+ * @typedef {Object} LoaderConfig
+ * @property {number} minDisplay - Minimum time the loading screen stays visible (ms)
+ * @property {number} maxWait - Reveal the page after this long no matter what (ms)
+ * @property {number} fadeDuration - Fade-out duration (ms)
+ * @property {number} returnWindow - Visitors back within this long get the short loader
+ *     (ms, 0 = never)
+ * @property {number} returnMinDisplay - minDisplay for returning visitors (ms)
+ * @property {number} returnMaxWait - maxWait for returning visitors; 0 skips the loader (ms)
+ */
+
+/**
+ * @typedef {Object} ErrorsConfig
+ * @property {string|null} endpoint - URL that receives report batches; null disables sending
+ * @property {number} batchSize - Maximum reports per request
+ * @property {number} flushDelay - Delay before sending so bursts share a batch (ms)
+ * @property {number} retryDelay - First retry delay after a failed send (ms)
+ * @property {number} maxRetryDelay - Upper bound for the doubling retry delay (ms)
+ * @property {number} maxQueue - Oldest reports are dropped beyond this size
+ * @property {string} storageKey - localStorage key of the offline queue
+ */
+
+/**
+ * @typedef {Object} CursorState
+ * @property {number} [size] - Width and height (px)
+ * @property {number} [width] - Overrides size (px)
+ * @property {number} [height] - Overrides size (px)
+ * @property {string} [radius] - Border radius, e.g. '2px'; round when left out
+ * @property {string} [color] - Fill colour
+ * @property {string} [blend] - mix-blend-mode, e.g. 'normal' for readable labels
+ * @property {string} [icon] - Character shown before the label
+ * @property {string} [label] - Text shown unless the element sets data-cursor-label
+ * @property {boolean} [hidden] - Hide the cursor, e.g. over video
+ */
+
+/**
+ * @typedef {Object} MagneticConfig
+ * Elements override radius, strength and shift with data-magnetic-* attributes
+ * @property {string} selector - Elements that attract the cursor; data-magnetic="false" opts out
+ * @property {number} radius - Distance from the element's edge where the pull starts (px)
+ * @property {number} strength - Share of the way the cursor is pulled to the centre, 0..1
+ * @property {number} shift - Share of the pointer's offset the element moves towards it, 0..1
+ * @property {number} lerp - Follow factor of the element while attracted, 0..1
+ * @property {number} stiffness - Spring back on release, see animation.spring
+ * @property {number} damping - Spring back on release, see animation.spring
+ */
+
+/**
+ * @typedef {Object} CursorEffectsConfig
+ * @property {string|null} trail - 'line', 'particles', 'ink' or a registered renderer; null: none
+ * @property {boolean} ripple - Ring where the pointer clicks
+ * @property {number} rippleRadius - Size the ripple grows to (px)
+ * @property {number} rippleDuration - How long a ripple lasts (ms)
+ * @property {number} maxParticles - Budget of trail and ripple particles; the oldest go first
+ */
+
+/**
+ * @typedef {Object} CursorConfig
+ * @property {number} lerp - Follow factor per frame, 0..1 (1 = no smoothing)
+ * @property {string} hoverSelector - Elements that get the link state unless they set data-cursor
+ * @property {Object<string, CursorState>} states - Added to, or replacing, the built-in states
+ * @property {MagneticConfig} magnetic
+ * @property {CursorEffectsConfig} effects
+ */
+
+/**
+ * @typedef {Object} NavigationConfig
+ * @property {string} sectionSelector - Sections tracked by the navigation (need an id)
+ * @property {string} linkSelector - Nav links; data-section names the target section
+ * @property {number} activeOffset - Height of the fixed nav, not counted as visible (px)
+ * @property {number} thresholdSteps - Visibility is re-measured every 1/thresholdSteps
+ * @property {number} breakpoint - Viewport width at or below which the links collapse (px)
+ * @property {string} navSelector - The nav bar
+ * @property {string} toggleSelector - Menu button inside the nav bar
+ */
+
+/**
+ * @typedef {Object} ScrollConfig
+ * @property {number} duration - Length of programmatic scrolls (ms)
+ * @property {string} easing - Name of an easing in animation.easing
+ * @property {string} headerSelector - Fixed header that scroll targets must clear
+ * @property {number} headerGap - Extra space between the header and the target (px)
+ * @property {boolean} inertia - Smooth wheel scrolling
+ * @property {number} inertiaLerp - Share of the remaining wheel distance covered per frame
+ */
+
+/**
+ * @typedef {Object} ShortcutsConfig
+ * @property {Object<string, string|string[]|false>} bindings - Keys per shortcut id,
+ *     e.g. { 'navigation.next': ['j', 'ArrowDown'] }; false disables a shortcut
+ * @property {number} sequenceTimeout - Longest pause between the keys of a sequence (ms)
+ * @property {number} maxSequence - Keys remembered for sequences
+ */
+
+/**
+ * @typedef {Object} RouterConfig
+ * @property {string} base - Path the site is served from
+ * @property {string} projectPath - Path segment of project URLs (/projects/:id)
+ * @property {string} projectSection - Section that contains the projects
+ * @property {string} homeSection - Section that maps to the bare base URL
+ */
+
+/**
+ * @typedef {Object} TypewriterConfig
+ * @property {boolean} enabled
+ * @property {string[]} phrases - Cycled in .hero-subtitle
+ * @property {number} typeSpeed - Delay per typed character (ms)
+ * @property {number} deleteSpeed - Delay per deleted character (ms)
+ * @property {number} holdDelay - Pause on a complete phrase (ms)
+ * @property {number} nextDelay - Pause before typing the next phrase (ms)
+ * @property {number} startDelay - Time from the start of the hero intro to the first phrase (ms)
+ */
+
+/**
+ * @typedef {Object} IntroConfig
+ * @property {string} selector - Hero elements that slide in, in order
+ * @property {number} delay - Pause after the loading screen before the first one (ms)
+ * @property {number} duration - Slide-in time per element (ms)
+ * @property {number} stagger - Time between elements (ms)
+ * @property {string} ease - Name of an easing in animation.easing
+ */
+
+/**
+ * @typedef {Object} RevealConfig
+ * @property {string} preset - Preset used when data-animate is empty or unknown
+ * @property {number} duration - Length of each reveal (ms)
+ * @property {number} delay - Wait after the element comes into view (ms)
+ * @property {number} stagger - Time between the children of a data-stagger container (ms)
+ * @property {string} ease - Name from animation.easing
+ * @property {boolean} once - Reveal only the first time; data-animate-once overrides it
+ * @property {Object<string, {from: Object, to: Object}>} presets - Start and end
+ *     styles (camelCase CSS) by preset name
+ */
+
+/**
+ * @typedef {Object} AnimationsConfig
+ * @property {{threshold: number, rootMargin: string}} observer - Reveal observer options
+ * @property {number} revealRatio - Reveal elements whose top is above this share of the viewport
+ * @property {number} parallaxSpeed - Default data-speed for floating elements
+ * @property {number} parallaxDistance - Drift either side of rest at data-speed 1 (px)
+ * @property {number} skillProgressDelay - Delay before skill bars fill (ms)
+ * @property {number} skillProgressDuration - Time each skill bar takes to fill (ms)
+ * @property {number} skillStagger - Time between skill bars starting to fill (ms)
+ * @property {IntroConfig} intro
+ * @property {RevealConfig} reveal
+ * @property {TypewriterConfig} typewriter
+ */
+
+/**
+ * @typedef {Object} TiltConfig
+ * @property {string} selector - Cards that tilt; add data-tilt to opt other elements in
+ * @property {number} maxAngleX - Largest lean forwards or backwards (degrees)
+ * @property {number} maxAngleY - Largest lean sideways (degrees)
+ * @property {number} magnetic - Largest drift towards the pointer (px)
+ * @property {number} lift - How far a card rises while hovered or focused (px)
+ * @property {number} scale - Scale while hovered or focused
+ * @property {number} perspective - Distance of the viewer (px)
+ * @property {number} glare - Glare opacity at full tilt, 0 to turn it off
+ * @property {number} lerp - Share of the way to the pointer target covered per frame
+ * @property {number} stiffness - Pull of the return spring
+ * @property {number} damping - Share of the spring's speed lost per frame
+ */
+
+/**
+ * @typedef {Object} QualityConfig
+ * @property {string|null} tier - Hold this tier instead of adapting to the frame rate
+ * @property {number} sampleInterval - Length of one frame-rate sample (ms)
+ * @property {number} downFps - Samples below this frame rate count as slow
+ * @property {number} upFps - Samples at or above this frame rate count as smooth
+ * @property {number} downSamples - Slow samples in a row that step down a tier
+ * @property {number} upSamples - Smooth samples in a row that step up a tier
+ * @property {number} maxLongTasks - More long tasks than this in a sample count as slow
+ * @property {string} saveDataTier - Highest tier with data saver on
+ * @property {Object<number, string>} memoryTiers - Highest tier for devices with at most
+ *     this many GB of memory
+ * @property {Object<string, string>} effects - Lowest tier that keeps each effect
+ */
+
+/**
+ * @typedef {Object} PerformanceConfig
+ * @property {string} lazyLoadMargin - rootMargin for lazy-loaded images
+ * @property {{threshold: number, rootMargin: string}} animationObserver - will-change observer
+ */
+
+/**
+ * @typedef {Object} ThemeConfig
+ * @property {string[]} konamiSequence - Keys of the Konami code, as shortcut combos
+ * @property {number} konamiDuration - How long the Konami easter egg lasts (ms)
+ * @property {string} storageKey - localStorage key of the saved theme
+ */
+
+/**
+ * @typedef {Object} FormsConfig
+ * @property {number} submitDelay - Simulated submission time (ms)
+ * @property {number} successResetDelay - Time the success state is shown (ms)
+ * @property {number} notificationDuration - Time error notifications are shown (ms)
+ * @property {boolean} saveDraft - Keep unsent input across reloads
+ * @property {number} draftDelay - Typing pause before the draft is saved (ms)
+ */
+
+/**
+ * @typedef {Object} PaletteConfig
+ * @property {number} maxRecent - Recently used commands listed first
+ * @property {number} maxResults - Maximum search results
+ * @property {string|null} email - Address for "Copy email"; read from the page's
+ *     structured data when not set
+ * @property {string} storageKey - localStorage key of the recent commands
+ */
+
+/**
+ * @typedef {Object} RailConfig
+ * @property {boolean} readingTime - Show the estimated reading time of each section
+ * @property {number} wordsPerMinute - Reading speed used for the estimate
+ * @property {number} readingLine - Point of the viewport, from 0 (top) to 1 (bottom),
+ *     that counts as read up to
+ */
+
+/**
+ * @typedef {Object} SessionConfig
+ * @property {string} storageKey - localStorage key of the saved page state
+ * @property {number} maxAge - Saved page state older than this is not restored (ms)
+ * @property {string} scrollRestoration - 'manual' restores the saved scroll position,
+ *     'auto' leaves it to the browser
+ * @property {string} draftKey - localStorage key of form drafts
+ * @property {number} draftMaxAge - Drafts older than this are dropped (ms)
+ */
+
+/**
+ * @typedef {Object} MotionConfig
+ * @property {string} reducedLevel - Level used when the system asks for reduced motion,
+ *     'reduced' or 'none'
+ * @property {string} storageKey - localStorage key of the visitor's chosen level
+ */
+
+/**
+ * @typedef {Object} PortfolioConfig
+ * @property {Object<string, boolean>} modules - Set a module to false to keep it from starting
+ * @property {LoaderConfig} loader
+ * @property {ErrorsConfig} errors
+ * @property {CursorConfig} cursor
+ * @property {NavigationConfig} navigation
+ * @property {ScrollConfig} scroll
+ * @property {ShortcutsConfig} shortcuts
+ * @property {RouterConfig} router
+ * @property {AnimationsConfig} animations
+ * @property {TiltConfig} tilt
+ * @property {PerformanceConfig} performance
+ * @property {QualityConfig} quality
+ * @property {ThemeConfig} theme
+ * @property {FormsConfig} forms
+ * @property {PaletteConfig} palette
+ * @property {RailConfig} rail
+ * @property {SessionConfig} session
+ * @property {MotionConfig} motion
+ */
+
+/** @type {PortfolioConfig} */
+export const defaultConfig = {
+    modules: {},
+    loader: {
+        minDisplay: 300,
+        maxWait: 8000,
+        fadeDuration: 500,
+        returnWindow: 30 * 60 * 1000,
+        returnMinDisplay: 0,
+        returnMaxWait: 1500
+    },
+    errors: {
+        endpoint: null,
+        batchSize: 10,
+        flushDelay: 2000,
+        retryDelay: 5000,
+        maxRetryDelay: 60000,
+        maxQueue: 50,
+        storageKey: 'portfolio-error-queue'
+    },
+    cursor: {
+        lerp: 0.15,
+        hoverSelector: 'a, button, .project-card, .skill-card, .form-input, .form-textarea',
+        states: {},
+        magnetic: {
+            selector: 'button, .cta-button, .nav-link, [data-magnetic]',
+            radius: 60,
+            strength: 0.3,
+            shift: 0.25,
+            lerp: 0.2,
+            stiffness: 0.12,
+            damping: 0.25
+        },
+        effects: {
+            trail: null,
+            ripple: true,
+            rippleRadius: 40,
+            rippleDuration: 600,
+            maxParticles: 150
+        }
+    },
+    navigation: {
+        sectionSelector: 'section[id]',
+        linkSelector: '.nav-link[data-section]',
+        activeOffset: 100,
+        thresholdSteps: 20,
+        breakpoint: 768,
+        navSelector: '.nav',
+        toggleSelector: '.nav-toggle'
+    },
+    scroll: {
+        duration: 800,
+        easing: 'easeInOutCubic',
+        headerSelector: '.nav',
+        headerGap: 20,
+        inertia: false,
+        inertiaLerp: 0.12
+    },
+    shortcuts: {
+        bindings: {},
+        sequenceTimeout: 1500,
+        maxSequence: 10
+    },
+    router: {
+        base: '/',
+        projectPath: 'projects',
+        projectSection: 'projects',
+        homeSection: 'home'
+    },
+    animations: {
+        observer: {
+            threshold: 0.1,
+            rootMargin: '0px 0px -100px 0px'
+        },
+        revealRatio: 0.8,
+        parallaxSpeed: 0.1,
+        parallaxDistance: 500,
+        skillProgressDelay: 200,
+        skillProgressDuration: 1000,
+        skillStagger: 150,
+        intro: {
+            selector: '.hero-title, .hero-subtitle, .hero .cta-button',
+            delay: 300,
+            duration: 1000,
+            stagger: 300,
+            ease: 'easeOutQuad'
+        },
+        reveal: {
+            preset: 'slide-up',
+            duration: 800,
+            delay: 0,
+            stagger: 100,
+            ease: 'easeOutCubic',
+            once: true,
+            presets: {
+                'fade': {
+                    from: { opacity: 0 },
+                    to: { opacity: 1 }
+                },
+                'slide-up': {
+                    from: { opacity: 0, transform: 'translateY(40px)' },
+                    to: { opacity: 1, transform: 'translateY(0px)' }
+                },
+                'slide-down': {
+                    from: { opacity: 0, transform: 'translateY(-40px)' },
+                    to: { opacity: 1, transform: 'translateY(0px)' }
+                },
+                'slide-left': {
+                    from: { opacity: 0, transform: 'translateX(40px)' },
+                    to: { opacity: 1, transform: 'translateX(0px)' }
+                },
+                'slide-right': {
+                    from: { opacity: 0, transform: 'translateX(-40px)' },
+                    to: { opacity: 1, transform: 'translateX(0px)' }
+                },
+                'zoom': {
+                    from: { opacity: 0, transform: 'scale(0.85)' },
+                    to: { opacity: 1, transform: 'scale(1)' }
+                },
+                'blur': {
+                    from: { opacity: 0, filter: 'blur(12px)' },
+                    to: { opacity: 1, filter: 'blur(0px)' }
+                },
+                'clip': {
+                    from: { clipPath: 'inset(0% 0% 100% 0%)' },
+                    to: { clipPath: 'inset(0% 0% 0% 0%)' }
+                }
+            }
+        },
+        typewriter: {
+            enabled: true,
+            phrases: ['Creative Developer', 'Digital Artist', 'UI/UX Designer', 'Problem Solver'],
+            typeSpeed: 100,
+            deleteSpeed: 50,
+            holdDelay: 2000,
+            nextDelay: 500,
+            startDelay: 2000
+        }
+    },
+    tilt: {
+        selector: '.project-card, [data-tilt]',
+        maxAngleX: 8,
+        maxAngleY: 10,
+        magnetic: 6,
+        lift: 10,
+        scale: 1.02,
+        perspective: 1000,
+        glare: 0.35,
+        lerp: 0.15,
+        stiffness: 0.1,
+        damping: 0.25
+    },
+    performance: {
+        lazyLoadMargin: '50px',
+        animationObserver: {
+            threshold: 0.1,
+            rootMargin: '100px'
+        }
+    },
+    quality: {
+        tier: null,
+        sampleInterval: 1000,
+        downFps: 45,
+        upFps: 55,
+        downSamples: 3,
+        upSamples: 10,
+        maxLongTasks: 2,
+        saveDataTier: 'low',
+        memoryTiers: {
+            2: 'low',
+            4: 'medium'
+        },
+        effects: {
+            blur: 'full',
+            tilt: 'high',
+            matrixRain: 'high',
+            parallax: 'medium',
+            magnetic: 'medium',
+            cursorEffects: 'high',
+            cursorLerp: 'low'
+        }
+    },
+    theme: {
+        konamiSequence: [
+            'ArrowUp', 'ArrowUp', 'ArrowDown', 'ArrowDown',
+            'ArrowLeft', 'ArrowRight', 'ArrowLeft', 'ArrowRight', 'b', 'a'
+        ],
+        konamiDuration: 10000,
+        storageKey: 'portfolio-theme'
+    },
+    forms: {
+        submitDelay: 1500,
+        successResetDelay: 2000,
+        notificationDuration: 5000,
+        saveDraft: true,
+        draftDelay: 500
+    },
+    palette: {
+        maxRecent: 5,
+        maxResults: 50,
+        email: null,
+        storageKey: 'portfolio-palette-recent'
+    },
+    rail: {
+        readingTime: true,
+        wordsPerMinute: 200,
+        readingLine: 0.5
+    },
+    session: {
+        storageKey: 'portfolio-session',
+        maxAge: 30 * 60 * 1000,
+        scrollRestoration: 'manual',
+        draftKey: 'portfolio-drafts',
+        draftMaxAge: 7 * 24 * 60 * 60 * 1000
+    },
+    motion: {
+        reducedLevel: 'reduced',
+        storageKey: 'portfolio-motion'
+    }
+};
+
+// Elements whose data-* attributes override a branch of the config
+export const dataAttributeSources = {
+    loader: '#loading',
+    cursor: '#cursor',
+    navigation: '#nav',
+    'animations.typewriter': '.hero-subtitle',
+    forms: '#contactForm'
+};
+
+export const CONFIG_SCRIPT_ID = 'portfolio-config';
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function typeOf(value) {
+    return Array.isArray(value) ? 'array' : typeof value;
+}
+
+/**
+ * Deep-merge overrides into a base config without mutating either
+ * Values whose type does not match the base are ignored with a warning.
+ */
+export function mergeConfig(base, overrides, path = '') {
+    const result = { ...base };
+
+    if (!isPlainObject(overrides)) {
+        return result;
+    }
+
+    Object.entries(overrides).forEach(([key, value]) => {
+        const keyPath = path ? `${path}.${key}` : key;
+        const baseValue = base ? base[key] : undefined;
+
+        if (value === undefined) {
+            return;
+        }
+
+        if (isPlainObject(baseValue) && isPlainObject(value)) {
+            result[key] = mergeConfig(baseValue, value, keyPath);
+        } else if (baseValue === undefined || baseValue === null || value === null ||
+            typeOf(baseValue) === typeOf(value)) {
+            result[key] = value;
+        } else {
+            console.warn(`Config "${keyPath}" expects ${typeOf(baseValue)}, got ${typeOf(value)}`);
+        }
+    });
+
+    return result;
+}
+
+/**
+ * Fill in defaults for one branch, e.g. withDefaults('cursor', options)
+ */
+export function withDefaults(section, options = {}) {
+    return mergeConfig(defaultConfig[section], options, section);
+}
+
+// Convert a data-* string to the type of the value it overrides
+function parseAttribute(raw, baseValue) {
+    switch (typeOf(baseValue)) {
+    case 'number':
+        return raw.trim() === '' ? undefined : Number(raw);
+    case 'boolean':
+        return raw !== 'false';
+    case 'array': {
+        const items = raw.trim().startsWith('[')
+            ? JSON.parse(raw)
+            : raw.split('|').map(item => item.trim()).filter(Boolean);
+        return typeof baseValue[0] === 'number' ? items.map(Number) : items;
+    }
+    default:
+        return raw;
+    }
+}
+
+/**
+ * Read overrides for a config branch from an element's data-* attributes
+ * Nested keys are prefixed: animations.observer.threshold -> data-observer-threshold
+ */
+export function readDataAttributes(element, base, prefix = '') {
+    const overrides = {};
+
+    if (!element) {
+        return overrides;
+    }
+
+    Object.entries(base).forEach(([key, baseValue]) => {
+        const name = prefix ? `${prefix}${string.capitalize(key)}` : key;
+
+        if (isPlainObject(baseValue)) {
+            const nested = readDataAttributes(element, baseValue, name);
+            if (Object.keys(nested).length) {
+                overrides[key] = nested;
+            }
+            return;
+        }
+
+        const raw = element.dataset[name];
+        if (raw === undefined) {
+            return;
+        }
+
+        try {
+            const value = parseAttribute(raw, baseValue);
+            if (typeof value === 'number' && Number.isNaN(value)) {
+                throw new Error(`"${raw}" is not a number`);
+            }
+            if (value !== undefined) {
+                overrides[key] = value;
+            }
+        } catch (error) {
+            console.warn(`Ignoring data-${string.toKebabCase(name)}:`, error.message);
+        }
+    });
+
+    return overrides;
+}
+
+// Read the <script type="application/json" id="portfolio-config"> block
+export function readJsonConfig(doc = document) {
+    const script = doc.getElementById(CONFIG_SCRIPT_ID);
+    if (!script) {
+        return {};
+    }
+
+    try {
+        return JSON.parse(script.textContent);
+    } catch (error) {
+        console.warn('Invalid JSON in #portfolio-config:', error.message);
+        return {};
+    }
+}
+
+function setPath(target, path, value) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    let node = target;
+
+    keys.forEach(key => {
+        node[key] = node[key] || {};
+        node = node[key];
+    });
+
+    node[last] = value;
+}
+
+function getPath(source, path) {
+    return path.split('.').reduce((node, key) => (node ? node[key] : undefined), source);
+}
+
+/**
+ * Build the final config tree for the app
+ * @param {Object} [config] - Options passed to new PortfolioApp(config)
+ * @returns {PortfolioConfig}
+ */
+export function resolveConfig(config = {}) {
+    let resolved = mergeConfig(defaultConfig, config);
+    resolved = mergeConfig(resolved, readJsonConfig());
+
+    const attributeOverrides = {};
+    Object.entries(dataAttributeSources).forEach(([path, selector]) => {
+        const element = document.querySelector(selector);
+        const overrides = readDataAttributes(element, getPath(resolved, path));
+        if (Object.keys(overrides).length) {
+            setPath(attributeOverrides, path, overrides);
+        }
+    });
+
+    return mergeConfig(resolved, attributeOverrides);
+}
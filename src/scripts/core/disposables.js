@@ -0,0 +1,111 @@
+/**
+ * Disposables
+ * Collects everything a module sets up (listeners, timers, frames, observers,
+ * subscriptions) so that a single dispose() call tears it all down
+ */
+
+export class Disposables {
+    constructor() {
+        this.controller = new AbortController();
+        this.disposers = [];
+        this.timeouts = new Set();
+        this.intervals = new Set();
+        this.frames = new Set();
+    }
+
+    get signal() {
+        return this.controller.signal;
+    }
+
+    /**
+     * Add an event listener that is removed on dispose
+     */
+    listen(target, type, handler, options = {}) {
+        if (!target) {
+            return;
+        }
+
+        target.addEventListener(type, handler, { ...options, signal: this.signal });
+    }
+
+    /**
+     * Register a cleanup function (e.g. an unsubscribe or observer.disconnect)
+     * @returns {Function} The same function, for convenience
+     */
+    add(disposer) {
+        if (typeof disposer === 'function') {
+            this.disposers.push(disposer);
+        }
+        return disposer;
+    }
+
+    observe(observer) {
+        this.add(() => observer.disconnect());
+        return observer;
+    }
+
+    setTimeout(callback, delay) {
+        const id = setTimeout(() => {
+            this.timeouts.delete(id);
+            callback();
+        }, delay);
+
+        this.timeouts.add(id);
+        return id;
+    }
+
+    clearTimeout(id) {
+        clearTimeout(id);
+        this.timeouts.delete(id);
+    }
+
+    setInterval(callback, delay) {
+        const id = setInterval(callback, delay);
+        this.intervals.add(id);
+        return id;
+    }
+
+    clearInterval(id) {
+        clearInterval(id);
+        this.intervals.delete(id);
+    }
+
+    requestFrame(callback) {
+        const id = requestAnimationFrame(time => {
+            this.frames.delete(id);
+            callback(time);
+        });
+
+        this.frames.add(id);
+        return id;
+    }
+
+    cancelFrame(id) {
+        cancelAnimationFrame(id);
+        this.frames.delete(id);
+    }
+
+    /**
+     * Tear everything down; the instance can be reused afterwards
+     */
+    dispose() {
+        this.controller.abort();
+        this.controller = new AbortController();
+
+        this.timeouts.forEach(id => clearTimeout(id));
+        this.intervals.forEach(id => clearInterval(id));
+        this.frames.forEach(id => cancelAnimationFrame(id));
+        this.timeouts.clear();
+        this.intervals.clear();
+        this.frames.clear();
+
+        // Run in reverse so later setup is undone first
+        this.disposers.splice(0).reverse().forEach(disposer => {
+            try {
+                disposer();
+            } catch (error) {
+                console.warn('Cleanup failed:', error);
+            }
+        });
+    }
+}
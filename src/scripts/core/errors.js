@@ -0,0 +1,174 @@
+/**
+ * Error Reporter
+ * Captures module failures and uncaught errors, builds structured reports and
+ * sends them in batches to a configurable endpoint, queueing them in storage
+ * while offline
+ */
+
+import { storage } from '../../utils/index.js';
+import { Disposables } from './disposables.js';
+import { mergeConfig, withDefaults } from './config.js';
+
+export class ErrorReporter {
+    /**
+     * @param {import('./config.js').ErrorsConfig} [options]
+     */
+    constructor(options = {}) {
+        this.options = withDefaults('errors', options);
+        this.queue = storage.get(this.options.storageKey, []);
+        this.flushTimeout = null;
+        this.retryDelay = this.options.retryDelay;
+        this.isFlushing = false;
+        this.disposables = new Disposables();
+    }
+
+    configure(options = {}) {
+        this.options = mergeConfig(this.options, options, 'errors');
+        this.retryDelay = this.options.retryDelay;
+        this.scheduleFlush();
+    }
+
+    /**
+     * Listen for uncaught errors and connectivity changes
+     */
+    install() {
+        this.disposables.listen(window, 'error', event => {
+            this.capture(event.error || new Error(event.message), {
+                source: 'window.onerror',
+                file: event.filename,
+                line: event.lineno,
+                column: event.colno
+            });
+        });
+
+        this.disposables.listen(window, 'unhandledrejection', event => {
+            this.capture(event.reason, { source: 'unhandledrejection' });
+        });
+
+        // Retry queued reports as soon as we are back online
+        this.disposables.listen(window, 'online', () => this.flush());
+
+        // Last chance to send before the page goes away
+        this.disposables.listen(document, 'visibilitychange', () => {
+            if (document.hidden) {
+                this.flush({ keepalive: true });
+            }
+        });
+
+        // Reports left over from an earlier offline visit
+        this.scheduleFlush();
+    }
+
+    /**
+     * Record an error
+     * @param {Error|*} error - Anything thrown
+     * @param {Object} [context] - Extra fields, e.g. { module: 'cursor', phase: 'init' }
+     * @returns {Object} The structured report
+     */
+    capture(error, context = {}) {
+        const report = this.createReport(error, context);
+
+        console.error(`[${report.module || 'app'}]`, error);
+
+        this.queue.push(report);
+        if (this.queue.length > this.options.maxQueue) {
+            this.queue.splice(0, this.queue.length - this.options.maxQueue);
+        }
+
+        this.persist();
+        this.scheduleFlush();
+
+        return report;
+    }
+
+    createReport(error, context) {
+        const isError = error instanceof Error;
+
+        return {
+            message: isError ? error.message : String(error),
+            name: isError ? error.name : 'NonError',
+            stack: isError ? error.stack : null,
+            module: null,
+            ...context,
+            timestamp: new Date().toISOString(),
+            url: window.location.href,
+            userAgent: navigator.userAgent,
+            viewport: {
+                width: window.innerWidth,
+                height: window.innerHeight
+            },
+            theme: document.documentElement.dataset.theme || 'dark'
+        };
+    }
+
+    scheduleFlush(delay = this.options.flushDelay) {
+        if (!this.options.endpoint || !this.queue.length || this.flushTimeout !== null) {
+            return;
+        }
+
+        this.flushTimeout = this.disposables.setTimeout(() => {
+            this.flushTimeout = null;
+            this.flush();
+        }, delay);
+    }
+
+    /**
+     * Send queued reports in batches; anything that fails stays queued
+     */
+    async flush({ keepalive = false } = {}) {
+        const { endpoint, batchSize } = this.options;
+
+        if (!endpoint || !this.queue.length || this.isFlushing || !navigator.onLine) {
+            return;
+        }
+
+        this.isFlushing = true;
+
+        try {
+            while (this.queue.length) {
+                const batch = this.queue.slice(0, batchSize);
+                const response = await fetch(endpoint, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ reports: batch }),
+                    keepalive
+                });
+
+                if (!response.ok) {
+                    throw new Error(`Error endpoint responded with ${response.status}`);
+                }
+
+                this.queue.splice(0, batch.length);
+                this.persist();
+            }
+
+            this.retryDelay = this.options.retryDelay;
+        } catch (error) {
+            // Keep the queue and try again later
+            console.warn('Failed to send error reports:', error);
+            this.scheduleFlush(this.retryDelay);
+            this.retryDelay = Math.min(this.retryDelay * 2, this.options.maxRetryDelay);
+        } finally {
+            this.isFlushing = false;
+        }
+    }
+
+    // Only worth keeping across visits when there is somewhere to send it
+    persist() {
+        if (this.queue.length && this.options.endpoint) {
+            storage.set(this.options.storageKey, this.queue);
+        } else {
+            storage.remove(this.options.storageKey);
+        }
+    }
+
+    getQueue() {
+        return this.queue.slice();
+    }
+
+    destroy() {
+        this.disposables.dispose();
+        this.flushTimeout = null;
+        this.persist();
+    }
+}
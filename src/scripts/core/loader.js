@@ -0,0 +1,228 @@
+/**
+ * Loading Screen
+ * Tracks real page readiness (fonts, above-the-fold images, modules, lazy chunks)
+ * and reports weighted progress until the page can be revealed
+ */
+
+import { bus } from './bus.js';
+import { Disposables } from './disposables.js';
+import { withDefaults } from './config.js';
+
+export class LoadingScreen {
+    /**
+     * @param {HTMLElement} element - The #loading overlay
+     * @param {import('./config.js').LoaderConfig} [options]
+     */
+    constructor(element, options = {}) {
+        this.element = element;
+        this.options = withDefaults('loader', options);
+        this.tasks = new Map();
+        this.progress = 0;
+        this.isComplete = false;
+        this.isDestroyed = false;
+        this.pendingDelays = new Set();
+        this.startTime = performance.now();
+        this.disposables = new Disposables();
+
+        this.percentElement = element ? element.querySelector('.loading-percent') : null;
+        this.barElement = element ? element.querySelector('.loading-bar') : null;
+        this.fillElement = element ? element.querySelector('.loading-bar-fill') : null;
+    }
+
+    /**
+     * Track a promise as a loading task; rejected tasks count as done
+     * @param {string} name - Task name
+     * @param {Promise} promise - Settles when the task is finished
+     * @param {number} [weight] - Share of the progress bar relative to other tasks
+     */
+    track(name, promise, weight = 1) {
+        if (this.isComplete) {
+            return Promise.resolve();
+        }
+
+        const task = { weight, done: false, promise: null };
+        task.promise = Promise.resolve(promise)
+            .catch(error => console.warn(`Loading task "${name}" failed:`, error))
+            .then(() => this.complete(name));
+
+        this.tasks.set(name, task);
+        this.update();
+
+        return task.promise;
+    }
+
+    /**
+     * Add a task that is finished later with complete(name)
+     */
+    addTask(name, weight = 1) {
+        let resolveTask;
+        const promise = new Promise(resolve => {
+            resolveTask = resolve;
+        });
+
+        this.track(name, promise, weight);
+        this.tasks.get(name).resolve = resolveTask;
+    }
+
+    complete(name) {
+        const task = this.tasks.get(name);
+        if (!task || task.done) {
+            return;
+        }
+
+        task.done = true;
+        if (task.resolve) {
+            task.resolve();
+        }
+
+        this.update();
+    }
+
+    trackFonts(weight = 2) {
+        if (document.fonts && document.fonts.ready) {
+            this.track('fonts', document.fonts.ready, weight);
+        }
+    }
+
+    // Images visible in the first viewport; lazy (data-src) images are excluded
+    trackAboveTheFoldImages(weight = 1) {
+        const viewportHeight = window.innerHeight || document.documentElement.clientHeight;
+        const images = Array.from(document.querySelectorAll('img:not([data-src])'))
+            .filter(img => img.getBoundingClientRect().top < viewportHeight);
+
+        images.forEach((img, index) => {
+            this.track(`image:${index}`, this.waitForImage(img), weight / images.length);
+        });
+    }
+
+    waitForImage(img) {
+        if (img.complete) {
+            return Promise.resolve();
+        }
+
+        return new Promise(resolve => {
+            this.disposables.listen(img, 'load', resolve, { once: true });
+            this.disposables.listen(img, 'error', resolve, { once: true });
+        });
+    }
+
+    update() {
+        let total = 0;
+        let done = 0;
+
+        this.tasks.forEach(task => {
+            total += task.weight;
+            if (task.done) {
+                done += task.weight;
+            }
+        });
+
+        this.setProgress(total ? done / total : 1);
+    }
+
+    setProgress(progress) {
+        this.progress = progress;
+        const percent = Math.round(progress * 100);
+
+        if (this.percentElement) {
+            this.percentElement.textContent = `${percent}%`;
+        }
+
+        if (this.fillElement) {
+            this.fillElement.style.transform = `scaleX(${progress})`;
+        }
+
+        if (this.barElement) {
+            this.barElement.setAttribute('aria-valuenow', percent);
+        }
+
+        bus.emit('loader:progress', { progress });
+    }
+
+    // Resolves once every task, including ones added while waiting, has settled
+    async waitForTasks() {
+        let pending = this.getPendingPromises();
+
+        while (pending.length) {
+            await Promise.all(pending);
+            pending = this.getPendingPromises();
+        }
+    }
+
+    getPendingPromises() {
+        return Array.from(this.tasks.values())
+            .filter(task => !task.done)
+            .map(task => task.promise);
+    }
+
+    /**
+     * Wait for all tasks (or the max wait), honour the minimum display time, then hide
+     * @returns {Promise} Resolves when the loader has been hidden
+     */
+    async finish() {
+        const { minDisplay, maxWait } = this.options;
+
+        const timedOut = await Promise.race([
+            this.waitForTasks().then(() => false),
+            this.delay(maxWait).then(() => true)
+        ]);
+        if (this.isDestroyed) {
+            return;
+        }
+
+        // A maxWait of 0 means the loader is skipped on purpose
+        if (timedOut && maxWait > 0) {
+            console.warn('Loading screen timed out before all assets were ready');
+        }
+
+        const elapsed = performance.now() - this.startTime;
+        await this.delay(Math.max(minDisplay - elapsed, 0));
+        if (this.isDestroyed) {
+            return;
+        }
+
+        this.setProgress(1);
+        this.hide();
+        bus.emit('loader:complete', { timedOut, duration: performance.now() - this.startTime });
+    }
+
+    hide() {
+        this.isComplete = true;
+
+        if (!this.element) {
+            return;
+        }
+
+        this.element.classList.add('hide');
+        this.element.setAttribute('aria-busy', 'false');
+        this.disposables.setTimeout(() => {
+            this.element.style.display = 'none';
+        }, this.options.fadeDuration);
+    }
+
+    // Settled early by destroy(), so nothing awaiting finish() is left hanging
+    delay(ms) {
+        return new Promise(resolve => {
+            const settle = () => {
+                this.pendingDelays.delete(settle);
+                resolve();
+            };
+            this.pendingDelays.add(settle);
+            this.disposables.setTimeout(settle, ms);
+        });
+    }
+
+    // Stop waiting and hide immediately, e.g. when the app is torn down
+    destroy() {
+        this.isDestroyed = true;
+        this.disposables.dispose();
+        this.tasks.clear();
+        Array.from(this.pendingDelays).forEach(settle => settle());
+
+        if (this.element && !this.isComplete) {
+            this.isComplete = true;
+            this.element.classList.add('hide');
+            this.element.style.display = 'none';
+        }
+    }
+}
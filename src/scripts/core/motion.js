@@ -0,0 +1,124 @@
+/**
+ * Motion Policy
+ * How much the site may move: 'full', 'reduced' (no movement, fades are fine)
+ * or 'none' (everything instant). Follows prefers-reduced-motion live unless
+ * the visitor has picked a level, which is remembered. Managers ask it before
+ * animating; CSS reads it from html[data-motion].
+ */
+
+import { bus } from './bus.js';
+import { storage } from '../../utils/index.js';
+import { withDefaults, mergeConfig } from './config.js';
+
+export const MOTION_LEVELS = ['full', 'reduced', 'none'];
+
+const REDUCED_MOTION_QUERY = '(prefers-reduced-motion: reduce)';
+
+export class MotionPolicy {
+    /**
+     * @param {import('./config.js').MotionConfig} [options]
+     */
+    constructor(options = {}) {
+        this.options = withDefaults('motion', options);
+        this.mediaQuery = null;
+        this.override = null;
+        this.level = 'full';
+
+        this.handleChange = () => this.update();
+    }
+
+    configure(options = {}) {
+        this.options = mergeConfig(this.options, options, 'motion');
+        this.override = this.readOverride();
+        this.listen();
+        this.update();
+    }
+
+    listen() {
+        if (this.mediaQuery || !window.matchMedia) {
+            return;
+        }
+
+        this.mediaQuery = window.matchMedia(REDUCED_MOTION_QUERY);
+        this.mediaQuery.addEventListener('change', this.handleChange);
+    }
+
+    stop() {
+        if (this.mediaQuery) {
+            this.mediaQuery.removeEventListener('change', this.handleChange);
+            this.mediaQuery = null;
+        }
+    }
+
+    readOverride() {
+        const level = storage.get(this.options.storageKey);
+        return MOTION_LEVELS.includes(level) ? level : null;
+    }
+
+    // Level asked for by the operating system or browser
+    getSystemLevel() {
+        return this.mediaQuery && this.mediaQuery.matches ? this.options.reducedLevel : 'full';
+    }
+
+    update() {
+        const previous = this.level;
+        this.level = this.override || this.getSystemLevel();
+        document.documentElement.dataset.motion = this.level;
+
+        if (this.level !== previous) {
+            bus.emit('motion:change', { level: this.level, previous });
+        }
+    }
+
+    getLevel() {
+        return this.level;
+    }
+
+    // Anything that moves should be skipped or made instant
+    isReduced() {
+        return this.level !== 'full';
+    }
+
+    // Fades and transitions too
+    isDisabled() {
+        return this.level === 'none';
+    }
+
+    /**
+     * Choose a level for this visitor, or null to follow the system setting again
+     * @param {string|null} level - 'full', 'reduced', 'none' or null
+     */
+    setOverride(level) {
+        if (level !== null && !MOTION_LEVELS.includes(level)) {
+            console.warn(`Unknown motion level "${level}"`);
+            return;
+        }
+
+        this.override = level;
+        if (level) {
+            storage.set(this.options.storageKey, level);
+        } else {
+            storage.remove(this.options.storageKey);
+        }
+
+        this.update();
+    }
+
+    getOverride() {
+        return this.override;
+    }
+
+    // Switch between full and reduced motion
+    toggle() {
+        this.setOverride(this.isReduced() ? 'full' : 'reduced');
+    }
+
+    destroy() {
+        this.stop();
+        delete document.documentElement.dataset.motion;
+        this.level = 'full';
+    }
+}
+
+// Shared instance used by the app and all modules
+export const motion = new MotionPolicy();
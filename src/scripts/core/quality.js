@@ -0,0 +1,269 @@
+/**
+ * Quality Controller
+ * Decides how many costly effects the page can afford. While the page is
+ * visible it samples the frame rate and long tasks, steps down a tier when
+ * frames keep dropping and back up once they have been smooth for a while.
+ * Data saver and low device memory cap the highest tier. Effects ask
+ * allows() and listen for quality:change; CSS reads html[data-quality] and
+ * the disabled effects in html[data-quality-off].
+ */
+
+import { bus } from './bus.js';
+import { withDefaults, mergeConfig } from './config.js';
+
+export const QUALITY_TIERS = ['full', 'high', 'medium', 'low', 'minimal'];
+
+// Each step down doubles the wait before stepping up again, up to this many times upSamples
+const MAX_BACKOFF = 8;
+
+// Position of a tier, 0 being the best
+function rank(tier) {
+    return QUALITY_TIERS.indexOf(tier);
+}
+
+function lower(a, b) {
+    return rank(a) > rank(b) ? a : b;
+}
+
+export class QualityController {
+    /**
+     * @param {import('./config.js').QualityConfig} [options]
+     */
+    constructor(options = {}) {
+        this.options = withDefaults('quality', options);
+        this.tier = 'full';
+        this.ceiling = 'full';
+        this.isStarted = false;
+        this.isHeld = false;
+        this.frameId = null;
+        this.longTaskObserver = null;
+        this.sample = null;
+        this.badSamples = 0;
+        this.goodSamples = 0;
+        this.backoff = 1;
+        this.stats = { fps: null, longTasks: 0 };
+        this.unsubscribers = [];
+    }
+
+    configure(options = {}) {
+        this.options = mergeConfig(this.options, options, 'quality');
+        this.ceiling = this.getDeviceCeiling();
+
+        if (!this.unsubscribers.length) {
+            this.unsubscribers.push(
+                bus.on('visibility:hidden', () => this.pause()),
+                bus.on('visibility:visible', () => this.resume())
+            );
+        }
+
+        const { tier } = this.options;
+        if (tier !== null && rank(tier) === -1) {
+            console.warn(`Unknown quality tier "${tier}"`);
+        }
+        this.isHeld = rank(tier) !== -1;
+        this.applyTier(this.isHeld ? tier : this.ceiling, 'device');
+    }
+
+    // Highest tier the device should get: data saver and low memory cap it
+    getDeviceCeiling() {
+        const { saveDataTier, memoryTiers } = this.options;
+        const connection = navigator.connection;
+        let ceiling = 'full';
+
+        if (connection && connection.saveData) {
+            ceiling = lower(ceiling, saveDataTier);
+        }
+
+        const memory = navigator.deviceMemory;
+        if (memory) {
+            const limit = Object.keys(memoryTiers)
+                .map(Number)
+                .sort((a, b) => a - b)
+                .find(gigabytes => memory <= gigabytes);
+            if (limit !== undefined) {
+                ceiling = lower(ceiling, memoryTiers[limit]);
+            }
+        }
+
+        return ceiling;
+    }
+
+    /**
+     * Begin adapting to the frame rate; waits while a tier is held
+     */
+    start() {
+        this.isStarted = true;
+        this.resume();
+    }
+
+    stop() {
+        this.pause();
+        this.isStarted = false;
+    }
+
+    resume() {
+        if (!this.isStarted || this.isHeld || this.frameId !== null || document.hidden) {
+            return;
+        }
+
+        this.sample = null;
+        this.frameId = requestAnimationFrame(time => this.tick(time));
+        this.observeLongTasks();
+    }
+
+    // Hidden tabs get no frames, which would read as a very slow page
+    pause() {
+        if (this.frameId !== null) {
+            cancelAnimationFrame(this.frameId);
+            this.frameId = null;
+        }
+
+        if (this.longTaskObserver) {
+            this.longTaskObserver.disconnect();
+            this.longTaskObserver = null;
+        }
+        this.sample = null;
+    }
+
+    observeLongTasks() {
+        const types = window.PerformanceObserver && PerformanceObserver.supportedEntryTypes;
+        if (!types || !types.includes('longtask')) {
+            return;
+        }
+
+        this.longTaskObserver = new PerformanceObserver(list => {
+            if (this.sample) {
+                this.sample.longTasks += list.getEntries().length;
+            }
+        });
+        this.longTaskObserver.observe({ type: 'longtask' });
+    }
+
+    tick(time) {
+        if (!this.sample) {
+            this.sample = { start: time, frames: 0, longTasks: 0 };
+        }
+
+        this.sample.frames++;
+        const elapsed = time - this.sample.start;
+        if (elapsed >= this.options.sampleInterval) {
+            this.evaluate(this.sample.frames * 1000 / elapsed, this.sample.longTasks);
+            this.sample = { start: time, frames: 0, longTasks: 0 };
+        }
+
+        this.frameId = requestAnimationFrame(next => this.tick(next));
+    }
+
+    /**
+     * Judge one sample; several slow ones in a row step down, many smooth ones step up
+     */
+    evaluate(fps, longTasks) {
+        const { downFps, upFps, downSamples, upSamples, maxLongTasks } = this.options;
+        this.stats = { fps: Math.round(fps), longTasks };
+
+        if (fps < downFps || longTasks > maxLongTasks) {
+            this.goodSamples = 0;
+            this.badSamples++;
+            if (this.badSamples >= downSamples) {
+                this.stepDown(longTasks > maxLongTasks ? 'longtasks' : 'fps');
+            }
+        } else if (fps >= upFps) {
+            this.badSamples = 0;
+            this.goodSamples++;
+            if (this.goodSamples >= upSamples * this.backoff) {
+                this.stepUp();
+            }
+        } else {
+            this.badSamples = 0;
+            this.goodSamples = 0;
+        }
+    }
+
+    stepDown(reason) {
+        const next = QUALITY_TIERS[rank(this.tier) + 1];
+        this.badSamples = 0;
+        if (next) {
+            this.backoff = Math.min(this.backoff * 2, MAX_BACKOFF);
+            this.applyTier(next, reason);
+        }
+    }
+
+    stepUp() {
+        const next = QUALITY_TIERS[rank(this.tier) - 1];
+        this.goodSamples = 0;
+        if (next && rank(next) >= rank(this.ceiling)) {
+            this.applyTier(next, 'recovered');
+        }
+    }
+
+    applyTier(tier, reason) {
+        const previous = this.tier;
+        const root = document.documentElement;
+
+        this.tier = tier;
+        root.dataset.quality = tier;
+        root.dataset.qualityOff = Object.keys(this.options.effects)
+            .filter(effect => !this.allows(effect))
+            .join(' ');
+
+        if (tier !== previous) {
+            bus.emit('quality:change', { tier, previous, reason });
+        }
+    }
+
+    getTier() {
+        return this.tier;
+    }
+
+    /**
+     * Whether an effect is on at the current tier
+     * @param {string} effect - Key of quality.effects, e.g. 'tilt'
+     */
+    allows(effect) {
+        const lowest = this.options.effects[effect];
+        return !lowest || rank(this.tier) <= rank(lowest);
+    }
+
+    /**
+     * Hold a tier, e.g. from a settings panel, or null to adapt again
+     * @param {string|null} tier
+     */
+    setTier(tier) {
+        if (tier !== null && rank(tier) === -1) {
+            console.warn(`Unknown quality tier "${tier}"`);
+            return;
+        }
+
+        this.badSamples = 0;
+        this.goodSamples = 0;
+        this.isHeld = Boolean(tier);
+
+        if (tier) {
+            this.pause();
+            this.applyTier(tier, 'manual');
+        } else {
+            this.applyTier(this.ceiling, 'manual');
+            this.resume();
+        }
+    }
+
+    getStats() {
+        return { ...this.stats, tier: this.tier, ceiling: this.ceiling };
+    }
+
+    destroy() {
+        this.stop();
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+
+        const root = document.documentElement;
+        delete root.dataset.quality;
+        delete root.dataset.qualityOff;
+        this.tier = 'full';
+        this.isHeld = false;
+        this.backoff = 1;
+    }
+}
+
+// Shared instance used by the app and all modules
+export const quality = new QualityController();
@@ -0,0 +1,285 @@
+/**
+ * Module Registry
+ * Keeps track of module definitions, resolves their dependency order and
+ * drives their init/destroy lifecycle
+ */
+
+export class ModuleRegistry {
+    /**
+     * @param {Object} [options]
+     * @param {Function} [options.onError] - Called with (error, name, phase) when a hook throws
+     */
+    constructor(options = {}) {
+        this.definitions = new Map();
+        this.instances = new Map();
+        this.failed = new Map();
+        this.order = [];
+        this.unresolved = new Map();
+        this.onError = options.onError || ((error, name) => {
+            console.error(`Module "${name}" failed:`, error);
+        });
+    }
+
+    /**
+     * Register a module definition
+     * @param {string} name - Unique module name
+     * @param {Object} definition
+     * @param {string[]} [definition.dependencies] - Names of modules that must start first
+     * @param {Function} definition.init - Receives { app, modules, options, ... }, returns instance
+     * @param {Function} [definition.destroy] - Receives the instance (defaults to destroy())
+     */
+    register(name, definition = {}) {
+        if (!name || typeof name !== 'string') {
+            throw new TypeError('Module name must be a non-empty string');
+        }
+
+        if (typeof definition.init !== 'function') {
+            throw new TypeError(`Module "${name}" must provide an init function`);
+        }
+
+        if (this.definitions.has(name)) {
+            console.warn(`Module "${name}" is already registered and will be replaced`);
+            this.destroyModule(name);
+        }
+
+        // A replacement may fix what kept this module or its dependents from starting
+        this.failed.delete(name);
+        this.getDependents(name, true).forEach(dependent => this.failed.delete(dependent));
+        this.definitions.set(name, {
+            name,
+            dependencies: definition.dependencies || [],
+            init: definition.init,
+            destroy: definition.destroy || null
+        });
+
+        return this;
+    }
+
+    unregister(name) {
+        if (!this.definitions.has(name)) {
+            return false;
+        }
+
+        // Dependents cannot run without this module
+        this.getDependents(name).forEach(dependent => this.unregister(dependent));
+
+        this.destroyModule(name);
+        this.definitions.delete(name);
+        this.failed.delete(name);
+        this.order = this.order.filter(moduleName => moduleName !== name);
+
+        return true;
+    }
+
+    has(name) {
+        return this.definitions.has(name);
+    }
+
+    get(name) {
+        return this.instances.get(name);
+    }
+
+    isStarted(name) {
+        return this.instances.has(name);
+    }
+
+    /**
+     * @param {string} name
+     * @param {boolean} [deep] - Include dependents of dependents
+     */
+    getDependents(name, deep = false) {
+        const dependents = Array.from(this.definitions.values())
+            .filter(definition => definition.dependencies.includes(name))
+            .map(definition => definition.name);
+
+        if (!deep) {
+            return dependents;
+        }
+
+        const all = new Set();
+        const collect = moduleName => this.getDependents(moduleName).forEach(dependent => {
+            if (!all.has(dependent)) {
+                all.add(dependent);
+                collect(dependent);
+            }
+        });
+        collect(name);
+
+        return Array.from(all);
+    }
+
+    /**
+     * Resolve a start order where every module comes after its dependencies
+     * Modules that cannot be ordered (an unknown dependency or a cycle) are
+     * left out, along with their dependents, and collected in `unresolved`
+     * with the reason.
+     */
+    resolveOrder() {
+        const order = [];
+        const visiting = new Set();
+        const visited = new Set();
+        const unresolved = new Map();
+
+        // Returns why the module cannot start, or null once it is ordered
+        const visit = (name, path) => {
+            if (visited.has(name)) {
+                return null;
+            }
+
+            if (unresolved.has(name)) {
+                return unresolved.get(name);
+            }
+
+            if (visiting.has(name)) {
+                return new Error(`Circular module dependency: ${[...path, name].join(' -> ')}`);
+            }
+
+            const definition = this.definitions.get(name);
+            if (!definition) {
+                const dependent = path[path.length - 1];
+                return new Error(`Module "${dependent}" depends on unknown module "${name}"`);
+            }
+
+            visiting.add(name);
+            let error = null;
+            for (const dependency of definition.dependencies) {
+                error = visit(dependency, [...path, name]);
+                if (error) {
+                    break;
+                }
+            }
+            visiting.delete(name);
+
+            if (error) {
+                unresolved.set(name, error);
+                return error;
+            }
+
+            visited.add(name);
+            order.push(name);
+            return null;
+        };
+
+        this.definitions.forEach((definition, name) => visit(name, []));
+
+        this.order = order;
+        this.unresolved = unresolved;
+        return order;
+    }
+
+    /**
+     * Start every registered module that is not running yet
+     * Each module is isolated: a failing init, an unknown dependency or a
+     * cycle is reported and only skips the modules involved and their dependents.
+     * @param {Object} context - Shared context handed to each init hook
+     */
+    initAll(context = {}) {
+        const order = this.resolveOrder();
+
+        // One bad dependency is reported once, not once per affected module
+        const reported = new Set();
+        this.unresolved.forEach((error, name) => {
+            if (this.failed.has(name)) {
+                return;
+            }
+
+            this.failed.set(name, error);
+            if (!reported.has(error)) {
+                reported.add(error);
+                this.onError(error, name, 'resolve');
+            }
+        });
+
+        order.forEach(name => {
+            if (this.isStarted(name) || this.failed.has(name)) {
+                return;
+            }
+
+            const failedDependency = this.definitions.get(name).dependencies
+                .find(dependency => this.failed.has(dependency));
+
+            if (failedDependency) {
+                const error = new Error(`Dependency "${failedDependency}" failed to start`);
+                this.failed.set(name, error);
+                return;
+            }
+
+            try {
+                this.initModule(name, context);
+            } catch (error) {
+                this.failed.set(name, error);
+                this.onError(error, name, 'init');
+            }
+        });
+
+        return this.instances;
+    }
+
+    getFailed() {
+        return new Map(this.failed);
+    }
+
+    initModule(name, context = {}) {
+        const definition = this.definitions.get(name);
+        if (!definition) {
+            throw new Error(`Module "${name}" is not registered`);
+        }
+
+        const missing = definition.dependencies.filter(dependency => !this.isStarted(dependency));
+        if (missing.length) {
+            throw new Error(`Module "${name}" is missing dependencies: ${missing.join(', ')}`);
+        }
+
+        const modules = {};
+        definition.dependencies.forEach(dependency => {
+            modules[dependency] = this.instances.get(dependency);
+        });
+
+        // Each module receives its own branch of the app config as `options`
+        const options = (context.config && context.config[name]) || {};
+        const instance = definition.init({ ...context, modules, options });
+        this.instances.set(name, instance);
+
+        return instance;
+    }
+
+    destroyModule(name) {
+        if (!this.instances.has(name)) {
+            return;
+        }
+
+        const definition = this.definitions.get(name);
+        const instance = this.instances.get(name);
+
+        try {
+            if (definition && definition.destroy) {
+                definition.destroy(instance);
+            } else if (instance && typeof instance.destroy === 'function') {
+                instance.destroy();
+            }
+        } catch (error) {
+            this.onError(error, name, 'destroy');
+        }
+
+        this.instances.delete(name);
+    }
+
+    /**
+     * Destroy every running module, dependents before their dependencies
+     */
+    destroyAll() {
+        const started = this.order.filter(name => this.isStarted(name));
+
+        // Modules started outside the resolved order (late registrations)
+        this.instances.forEach((instance, name) => {
+            if (!started.includes(name)) {
+                started.push(name);
+            }
+        });
+
+        started.reverse().forEach(name => this.destroyModule(name));
+
+        // Failed modules get another chance on the next initAll
+        this.failed.clear();
+    }
+}
@@ -0,0 +1,127 @@
+/**
+ * Frame Scheduler
+ * Single passive scroll/resize listener that runs subscribers once per
+ * animation frame, with all layout reads batched before all writes
+ */
+
+import { performance as perf } from '../../utils/index.js';
+
+export class FrameScheduler {
+    constructor() {
+        this.subscribers = new Set();
+        this.frameId = null;
+        this.isListening = false;
+        this.pendingScroll = false;
+        this.pendingResize = false;
+        this.state = {};
+
+        this.handleScroll = () => this.schedule('scroll');
+        this.handleResize = () => this.schedule('resize');
+    }
+
+    /**
+     * Subscribe to frame updates
+     * measure(state) may only read layout; mutate(state) may only write to the DOM.
+     * @param {Object} subscriber - { measure(state), mutate(state) }, both optional
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe(subscriber) {
+        this.subscribers.add(subscriber);
+        this.listen();
+
+        // Give new subscribers a first frame with current values
+        this.schedule('resize');
+
+        return () => {
+            this.subscribers.delete(subscriber);
+
+            if (!this.subscribers.size) {
+                this.stop();
+            }
+        };
+    }
+
+    listen() {
+        if (this.isListening) {
+            return;
+        }
+
+        window.addEventListener('scroll', this.handleScroll, { passive: true });
+        window.addEventListener('resize', this.handleResize, { passive: true });
+        this.isListening = true;
+    }
+
+    stop() {
+        window.removeEventListener('scroll', this.handleScroll, { passive: true });
+        window.removeEventListener('resize', this.handleResize, { passive: true });
+        this.isListening = false;
+
+        if (this.frameId !== null) {
+            perf.cancelAnimationFrame(this.frameId);
+            this.frameId = null;
+        }
+    }
+
+    /**
+     * Request a frame; repeated calls before the frame runs are coalesced
+     * @param {string} [reason] - 'scroll', 'resize' or anything else for a plain update
+     */
+    schedule(reason = 'update') {
+        if (reason === 'scroll') {
+            this.pendingScroll = true;
+        } else if (reason === 'resize') {
+            this.pendingResize = true;
+        }
+
+        if (this.frameId === null) {
+            this.frameId = perf.requestAnimationFrame(time => this.flush(time));
+        }
+    }
+
+    flush(time) {
+        this.frameId = null;
+
+        const state = {
+            ...this.readViewport(time),
+            scrolled: this.pendingScroll,
+            resized: this.pendingResize
+        };
+        this.state = state;
+        this.pendingScroll = false;
+        this.pendingResize = false;
+
+        const subscribers = Array.from(this.subscribers);
+
+        // Measure phase: layout reads only
+        subscribers.forEach(subscriber => {
+            if (subscriber.measure) {
+                subscriber.measure(state);
+            }
+        });
+
+        // Mutate phase: DOM writes only
+        subscribers.forEach(subscriber => {
+            if (subscriber.mutate) {
+                subscriber.mutate(state);
+            }
+        });
+    }
+
+    // Shared viewport values, read once per frame for every subscriber
+    readViewport(time = performance.now()) {
+        const viewportHeight = window.innerHeight || document.documentElement.clientHeight;
+
+        return {
+            time,
+            scrollX: window.scrollX,
+            scrollY: window.scrollY,
+            viewportWidth: window.innerWidth || document.documentElement.clientWidth,
+            viewportHeight,
+            scrollHeight: document.documentElement.scrollHeight,
+            maxScroll: Math.max(document.documentElement.scrollHeight - viewportHeight, 0)
+        };
+    }
+}
+
+// Shared instance used by the app and all modules
+export const scheduler = new FrameScheduler();
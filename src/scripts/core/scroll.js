@@ -0,0 +1,309 @@
+/**
+ * Scroll Engine
+ * Eased programmatic scrolling that clears the fixed nav, resolves when the
+ * scroll has finished and gives way as soon as the user scrolls themselves.
+ * Optionally smooths wheel scrolling with inertia. With reduced motion every
+ * scroll is a jump and inertia is off.
+ */
+
+import { animation, dom, math, performance as perf } from '../../utils/index.js';
+import { bus } from './bus.js';
+import { Disposables } from './disposables.js';
+import { motion } from './motion.js';
+import { shortcuts } from './shortcuts.js';
+import { withDefaults, mergeConfig } from './config.js';
+
+// Input that means the user has taken over
+const INTERRUPT_EVENTS = ['wheel', 'touchstart'];
+
+// Keys that scroll the page natively; pressing one mid-scroll takes over too
+const SCROLL_KEYS = ['ArrowUp', 'ArrowDown', 'PageUp', 'PageDown', 'Home', 'End', ' '];
+
+// Pixels per wheel delta unit for line (1) and page (2) delta modes
+const LINE_HEIGHT = 16;
+
+// Whether an element between the target and the page can still scroll this way
+function canScrollWithin(target, deltaY) {
+    let element = target instanceof Element ? target : null;
+
+    while (element && element !== document.body && element !== document.documentElement) {
+        const { overflowY } = getComputedStyle(element);
+        const isScrollable = /(auto|scroll|overlay)/.test(overflowY)
+            && element.scrollHeight > element.clientHeight;
+
+        if (isScrollable) {
+            const atEnd = deltaY > 0
+                ? element.scrollTop + element.clientHeight >= element.scrollHeight - 1
+                : element.scrollTop <= 0;
+            if (!atEnd) {
+                return true;
+            }
+        }
+
+        element = element.parentElement;
+    }
+
+    return false;
+}
+
+export class ScrollEngine {
+    /**
+     * @param {import('./config.js').ScrollConfig} [options]
+     */
+    constructor(options = {}) {
+        this.options = withDefaults('scroll', options);
+        this.current = null;
+        this.inertia = null;
+        this.inertiaDisposables = new Disposables();
+        this.offMotionChange = null;
+    }
+
+    configure(options = {}) {
+        this.options = mergeConfig(this.options, options, 'scroll');
+
+        if (!this.offMotionChange) {
+            this.offMotionChange = bus.on('motion:change', () => this.updateInertia());
+        }
+        this.updateInertia();
+    }
+
+    updateInertia() {
+        if (this.options.inertia && !motion.isReduced()) {
+            this.enableInertia();
+        } else {
+            this.disableInertia();
+        }
+    }
+
+    /**
+     * Scroll to an element, selector or y position
+     * @param {HTMLElement|string|number} target
+     * @param {Object} [options]
+     * @param {number} [options.duration] - 0 jumps immediately (ms)
+     * @param {string|Function} [options.easing] - Name from animation.easing or a function
+     * @param {number} [options.offset] - Space kept above the target (default: nav height)
+     * @param {string} [options.align] - 'start' or 'center'
+     * @returns {Promise<boolean>} True when the target was reached, false if interrupted
+     */
+    scrollTo(target, options = {}) {
+        const {
+            duration = this.options.duration,
+            easing = this.options.easing,
+            offset,
+            align = 'start'
+        } = options;
+
+        this.cancel();
+
+        const element = typeof target === 'string' ? document.querySelector(target) : target;
+        if (element === null || element === undefined) {
+            return Promise.resolve(false);
+        }
+
+        const getTargetY = () => this.getTargetY(element, { offset, align });
+        const easingFn = typeof easing === 'function'
+            ? easing
+            : animation.easing[easing] || animation.easing.linear;
+
+        if (duration <= 0 || motion.isReduced()) {
+            this.jumpTo(getTargetY());
+            return Promise.resolve(true);
+        }
+
+        return new Promise(resolve => {
+            const startY = window.scrollY;
+            let startTime = null;
+            const run = { frameId: null, resolve, disposables: new Disposables() };
+            this.current = run;
+
+            INTERRUPT_EVENTS.forEach(type => {
+                run.disposables.listen(window, type, () => this.cancel(), { passive: true });
+            });
+
+            const step = time => {
+                // Timed from the first frame so a slow frame doesn't skip the start
+                if (startTime === null) {
+                    startTime = time;
+                    this.listenForKeys(run);
+                }
+
+                const progress = math.clamp((time - startTime) / duration, 0, 1);
+
+                // Re-read the target every frame so late layout shifts are followed
+                const y = animation.lerp(startY, getTargetY(), easingFn(progress));
+                this.jumpTo(y);
+
+                if (progress < 1) {
+                    run.frameId = perf.requestAnimationFrame(step);
+                } else {
+                    this.finish(run, true);
+                }
+            };
+
+            run.frameId = perf.requestAnimationFrame(step);
+        });
+    }
+
+    /**
+     * Scroll keys and scrollbar drags also stop the scroll. Added on the first frame:
+     * a scroll started from a keydown would otherwise be cancelled by that same event
+     * when it bubbles up to the window.
+     */
+    listenForKeys(run) {
+        run.disposables.listen(window, 'keydown', e => {
+            if (SCROLL_KEYS.includes(e.key)) {
+                this.cancel();
+            }
+        });
+        run.disposables.listen(window, 'mousedown', () => this.cancel(), { passive: true });
+    }
+
+    /**
+     * Y position that puts the target below the nav (or in the middle of the viewport)
+     */
+    getTargetY(target, { offset, align = 'start' } = {}) {
+        let y = target;
+
+        if (typeof target !== 'number') {
+            const rect = target.getBoundingClientRect();
+            const headerOffset = offset !== undefined ? offset : this.getHeaderOffset();
+            const top = rect.top + window.scrollY;
+
+            // Centre within the part of the viewport the nav doesn't cover
+            y = align === 'center'
+                ? top + rect.height / 2 - (headerOffset + (window.innerHeight - headerOffset) / 2)
+                : top - headerOffset;
+        }
+
+        return math.clamp(Math.round(y), 0, this.getMaxScroll());
+    }
+
+    getMaxScroll() {
+        return Math.max(document.documentElement.scrollHeight - window.innerHeight, 0);
+    }
+
+    getHeaderOffset() {
+        return dom.getHeaderOffset(this.options.headerSelector, this.options.headerGap);
+    }
+
+    // Set the position directly; 'instant' overrides the CSS scroll-behavior
+    jumpTo(y) {
+        window.scrollTo({ top: y, behavior: 'instant' });
+
+        if (this.inertia) {
+            this.inertia.target = y;
+            this.inertia.position = y;
+        }
+    }
+
+    /**
+     * Stop the running scroll where it is
+     */
+    cancel() {
+        if (this.current) {
+            this.finish(this.current, false);
+        }
+    }
+
+    finish(run, completed) {
+        perf.cancelAnimationFrame(run.frameId);
+        run.disposables.dispose();
+
+        if (this.current === run) {
+            this.current = null;
+        }
+
+        run.resolve(completed);
+    }
+
+    isScrolling() {
+        return this.current !== null;
+    }
+
+    /**
+     * Ease wheel scrolling towards its target instead of jumping by whole notches
+     */
+    enableInertia() {
+        if (this.inertia) {
+            return;
+        }
+
+        this.inertia = { target: window.scrollY, position: window.scrollY, frameId: null };
+
+        const handleWheel = e => this.handleWheel(e);
+        this.inertiaDisposables.listen(window, 'wheel', handleWheel, { passive: false });
+
+        // Keyboard, touch and scrollbar scrolling stay native; pick up where they left off
+        this.inertiaDisposables.listen(window, 'scroll', () => {
+            if (this.inertia && this.inertia.frameId === null && !this.current) {
+                this.inertia.target = window.scrollY;
+                this.inertia.position = window.scrollY;
+            }
+        }, { passive: true });
+    }
+
+    disableInertia() {
+        if (!this.inertia) {
+            return;
+        }
+
+        perf.cancelAnimationFrame(this.inertia.frameId);
+        this.inertiaDisposables.dispose();
+        this.inertia = null;
+    }
+
+    handleWheel(e) {
+        // Pinch zoom and horizontal scrolling are left to the browser
+        if (e.ctrlKey || Math.abs(e.deltaX) > Math.abs(e.deltaY)) {
+            return;
+        }
+
+        // So are nested scroll areas and open overlays (palette, help, menu)
+        if (shortcuts.getScope() !== 'global' || canScrollWithin(e.target, e.deltaY)) {
+            return;
+        }
+
+        e.preventDefault();
+
+        const unit = e.deltaMode === 1 ? LINE_HEIGHT : e.deltaMode === 2 ? window.innerHeight : 1;
+        const inertia = this.inertia;
+
+        inertia.target = math.clamp(inertia.target + e.deltaY * unit, 0, this.getMaxScroll());
+
+        if (inertia.frameId === null) {
+            inertia.frameId = perf.requestAnimationFrame(() => this.stepInertia());
+        }
+    }
+
+    stepInertia() {
+        const inertia = this.inertia;
+        if (!inertia) {
+            return;
+        }
+
+        const { inertiaLerp } = this.options;
+        inertia.position = animation.lerp(inertia.position, inertia.target, inertiaLerp);
+
+        if (Math.abs(inertia.target - inertia.position) < 0.5) {
+            inertia.position = inertia.target;
+            inertia.frameId = null;
+        } else {
+            inertia.frameId = perf.requestAnimationFrame(() => this.stepInertia());
+        }
+
+        window.scrollTo({ top: inertia.position, behavior: 'instant' });
+    }
+
+    destroy() {
+        this.cancel();
+        this.disableInertia();
+
+        if (this.offMotionChange) {
+            this.offMotionChange();
+            this.offMotionChange = null;
+        }
+    }
+}
+
+// Shared instance used by the app and all modules
+export const scrollEngine = new ScrollEngine();
@@ -0,0 +1,297 @@
+/**
+ * Scrub Engine
+ * Progress of registered elements through the viewport: 0 when the top
+ * enters at the bottom, 1 when the bottom leaves at the top. Each element
+ * gets it as a CSS custom property, a callback and any style channels mapped
+ * from it. Only elements in view are measured, so off-screen ones cost
+ * nothing. Under reduced motion, or when the quality tier drops parallax,
+ * the movement channels are left off; blur goes with the blur effect.
+ */
+
+import { animation, math } from '../../utils/index.js';
+import { bus } from './bus.js';
+import { motion } from './motion.js';
+import { quality } from './quality.js';
+import { scheduler } from './scheduler.js';
+
+/*
+ * Style channels progress can be mapped to. Movement goes through the
+ * individual translate, rotate and scale properties, so it stacks with
+ * transforms set by stylesheets, keyframes or other scripts.
+ */
+const CHANNELS = {
+    translateX: { property: 'translate', unit: 'px', moves: true },
+    translateY: { property: 'translate', unit: 'px', moves: true },
+    rotate: { property: 'rotate', unit: 'deg', moves: true },
+    scale: { property: 'scale', unit: '', moves: true },
+    opacity: { property: 'opacity', unit: '' },
+    blur: { property: 'filter', unit: 'px' },
+    brightness: { property: 'filter', unit: '' },
+    contrast: { property: 'filter', unit: '' },
+    grayscale: { property: 'filter', unit: '' },
+    saturate: { property: 'filter', unit: '' },
+    hueRotate: { property: 'filter', unit: 'deg', css: 'hue-rotate' }
+};
+
+const STYLE_PROPERTIES = ['translate', 'rotate', 'scale', 'opacity', 'filter'];
+
+/**
+ * @typedef {[number, number]|{from: number, to: number, start?: number, end?: number}} Channel
+ * Values at progress `start` and `end` (default 0 and 1), held outside that range
+ */
+
+// [from, to] or { from, to, start, end } to one shape, dropping unknown channels
+function normalizeChannels(channels = {}) {
+    return Object.entries(channels).reduce((list, [name, spec]) => {
+        if (!CHANNELS[name]) {
+            console.warn(`Unknown scrub channel "${name}"`);
+            return list;
+        }
+
+        const { from, to, start = 0, end = 1 } = Array.isArray(spec)
+            ? { from: spec[0], to: spec[1] }
+            : spec;
+        list.push({ name, from, to, start, end, ...CHANNELS[name] });
+        return list;
+    }, []);
+}
+
+export class ScrubEngine {
+    constructor() {
+        this.entries = new Set();
+        this.targets = new Map();
+        this.observer = null;
+        this.unsubscribe = null;
+        this.offMotionChange = null;
+        this.offQualityChange = null;
+    }
+
+    /**
+     * Track an element's progress through the viewport
+     * @param {HTMLElement} element
+     * @param {Object} [options]
+     * @param {string|null} [options.property] - Custom property set to the progress
+     * @param {Function} [options.onProgress] - Called with (progress, element) when it changes
+     * @param {Object<string, Channel>} [options.channels] - e.g. { translateY: [-50, 50] }
+     * @returns {Function} Stops tracking and removes the styles it set
+     */
+    add(element, options = {}) {
+        const { property = '--scrub-progress', onProgress = null, channels } = options;
+
+        const entry = {
+            element,
+            property,
+            onProgress,
+            channels: normalizeChannels(channels),
+            initial: {},
+            progress: null,
+            next: NaN,
+            isVisible: false,
+            // Measured once even if it never comes into view
+            needsMeasure: true
+        };
+        STYLE_PROPERTIES.forEach(name => {
+            entry.initial[name] = element.style.getPropertyValue(name);
+        });
+
+        this.entries.add(entry);
+        if (!this.targets.has(element)) {
+            this.targets.set(element, new Set());
+            this.getObserver().observe(element);
+        }
+        this.targets.get(element).add(entry);
+
+        this.start();
+        scheduler.schedule('scrub');
+
+        return () => this.remove(entry);
+    }
+
+    remove(entry) {
+        if (!this.entries.delete(entry)) {
+            return;
+        }
+
+        const { element } = entry;
+        const siblings = this.targets.get(element);
+        siblings.delete(entry);
+        if (!siblings.size) {
+            this.targets.delete(element);
+            this.observer.unobserve(element);
+        }
+
+        if (entry.property) {
+            element.style.removeProperty(entry.property);
+        }
+        new Set(entry.channels.map(channel => channel.property)).forEach(name => {
+            element.style.setProperty(name, entry.initial[name]);
+        });
+
+        if (!this.entries.size) {
+            this.stop();
+        }
+    }
+
+    getObserver() {
+        if (!this.observer) {
+            this.observer = new IntersectionObserver(records => {
+                records.forEach(record => {
+                    const siblings = this.targets.get(record.target);
+                    if (!siblings) {
+                        return;
+                    }
+
+                    // One more measure on the way out so the value ends at 0 or 1
+                    siblings.forEach(entry => {
+                        entry.isVisible = record.isIntersecting;
+                        entry.needsMeasure = true;
+                    });
+                });
+                scheduler.schedule('scrub');
+            });
+        }
+        return this.observer;
+    }
+
+    start() {
+        if (this.unsubscribe) {
+            return;
+        }
+
+        this.unsubscribe = scheduler.subscribe({
+            measure: state => this.measure(state),
+            mutate: () => this.update()
+        });
+        this.offMotionChange = bus.on('motion:change', () => this.refresh());
+        this.offQualityChange = bus.on('quality:change', () => this.refresh());
+    }
+
+    stop() {
+        if (this.unsubscribe) {
+            this.unsubscribe();
+            this.offMotionChange();
+            this.offQualityChange();
+            this.unsubscribe = null;
+            this.offMotionChange = null;
+            this.offQualityChange = null;
+        }
+    }
+
+    measure(state) {
+        this.entries.forEach(entry => {
+            if (!entry.isVisible && !entry.needsMeasure) {
+                return;
+            }
+
+            const rect = entry.element.getBoundingClientRect();
+            const distance = state.viewportHeight + rect.height;
+            entry.next = math.clamp((state.viewportHeight - rect.top) / (distance || 1), 0, 1);
+            entry.needsMeasure = false;
+        });
+    }
+
+    update() {
+        this.entries.forEach(entry => {
+            const progress = Math.round(entry.next * 1000) / 1000;
+            if (Number.isNaN(progress) || progress === entry.progress) {
+                return;
+            }
+
+            entry.progress = progress;
+            this.apply(entry);
+        });
+    }
+
+    apply(entry) {
+        const { element, property, progress, onProgress } = entry;
+
+        if (property) {
+            element.style.setProperty(property, progress);
+        }
+        this.applyChannels(entry);
+
+        if (onProgress) {
+            onProgress(progress, element);
+        }
+    }
+
+    // Write every channel's value for the current progress
+    applyChannels({ element, channels, progress, initial }) {
+        if (!channels.length) {
+            return;
+        }
+
+        const canMove = !motion.isReduced() && quality.allows('parallax');
+        const canBlur = quality.allows('blur');
+        const values = {};
+
+        channels.forEach(channel => {
+            if ((channel.moves && !canMove) || (channel.name === 'blur' && !canBlur)) {
+                return;
+            }
+
+            const span = channel.end - channel.start;
+            const local = span ? math.clamp((progress - channel.start) / span, 0, 1) : 1;
+            values[channel.name] = animation.lerp(channel.from, channel.to, local);
+        });
+
+        const value = name => values[name].toFixed(3).replace(/\.?0+$/, '') + CHANNELS[name].unit;
+        const styles = {};
+
+        if ('translateX' in values || 'translateY' in values) {
+            styles.translate = `${'translateX' in values ? value('translateX') : '0px'} ` +
+                `${'translateY' in values ? value('translateY') : '0px'}`;
+        }
+        if ('rotate' in values) {
+            styles.rotate = value('rotate');
+        }
+        if ('scale' in values) {
+            styles.scale = value('scale');
+        }
+        if ('opacity' in values) {
+            styles.opacity = value('opacity');
+        }
+
+        const filters = channels
+            .filter(channel => channel.name in values && channel.property === 'filter')
+            .map(channel => `${channel.css || channel.name}(${value(channel.name)})`);
+        if (filters.length) {
+            styles.filter = filters.join(' ');
+        }
+
+        new Set(channels.map(channel => channel.property)).forEach(name => {
+            element.style.setProperty(name, name in styles ? styles[name] : initial[name]);
+        });
+    }
+
+    /**
+     * Last progress of an element, or null if it is not tracked or not measured yet
+     */
+    getProgress(element) {
+        const siblings = this.targets.get(element);
+        const [entry] = siblings ? siblings : [];
+        return entry ? entry.progress : null;
+    }
+
+    // Re-apply everything, e.g. after the motion level changed
+    refresh() {
+        this.entries.forEach(entry => {
+            entry.needsMeasure = true;
+            entry.progress = null;
+        });
+        scheduler.schedule('scrub');
+    }
+
+    destroy() {
+        Array.from(this.entries).forEach(entry => this.remove(entry));
+        this.stop();
+
+        if (this.observer) {
+            this.observer.disconnect();
+            this.observer = null;
+        }
+    }
+}
+
+// Shared instance used by the app and all modules
+export const scrub = new ScrubEngine();
@@ -0,0 +1,91 @@
+/**
+ * Session Store
+ * Visitor state kept between page loads: where the page was left (URL,
+ * scroll position, section, open project) and unsent form drafts
+ */
+
+import { storage } from '../../utils/index.js';
+import { withDefaults, mergeConfig } from './config.js';
+
+export class SessionStore {
+    /**
+     * @param {import('./config.js').SessionConfig} [options]
+     */
+    constructor(options = {}) {
+        this.options = withDefaults('session', options);
+    }
+
+    configure(options = {}) {
+        this.options = mergeConfig(this.options, options, 'session');
+    }
+
+    /**
+     * Saved page state, or null if there is none younger than maxAge
+     * @returns {{url: string, scrollY: number, section: string, project: string|null,
+     *     savedAt: number}|null}
+     */
+    read() {
+        const state = storage.get(this.options.storageKey);
+        if (!state || Date.now() - state.savedAt > this.options.maxAge) {
+            return null;
+        }
+        return state;
+    }
+
+    save(state) {
+        return storage.set(this.options.storageKey, { ...state, savedAt: Date.now() });
+    }
+
+    clear() {
+        storage.remove(this.options.storageKey);
+    }
+
+    /**
+     * Whether the page state was saved less than `within` ms ago
+     */
+    isReturning(within) {
+        const state = storage.get(this.options.storageKey);
+        return Boolean(state && within > 0 && Date.now() - state.savedAt <= within);
+    }
+
+    /**
+     * Field values of an unsent form, or null
+     * @param {string} formId
+     * @returns {Object<string, string>|null}
+     */
+    getDraft(formId) {
+        const draft = this.readDrafts()[formId];
+        if (!draft || Date.now() - draft.savedAt > this.options.draftMaxAge) {
+            return null;
+        }
+        return draft.fields;
+    }
+
+    saveDraft(formId, fields) {
+        const drafts = this.readDrafts();
+        drafts[formId] = { fields, savedAt: Date.now() };
+        return storage.set(this.options.draftKey, drafts);
+    }
+
+    clearDraft(formId) {
+        const drafts = this.readDrafts();
+        if (!(formId in drafts)) {
+            return;
+        }
+
+        delete drafts[formId];
+        if (Object.keys(drafts).length) {
+            storage.set(this.options.draftKey, drafts);
+        } else {
+            storage.remove(this.options.draftKey);
+        }
+    }
+
+    readDrafts() {
+        const drafts = storage.get(this.options.draftKey, {});
+        return drafts && typeof drafts === 'object' ? drafts : {};
+    }
+}
+
+// Shared instance used by the app and all modules
+export const session = new SessionStore();
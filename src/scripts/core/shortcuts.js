@@ -0,0 +1,329 @@
+/**
+ * Shortcut Registry
+ * One keydown listener for every keyboard shortcut in the app. Combos are
+ * matched on e.key (falling back to e.code), can be rebound from the config,
+ * are ignored while typing in form fields and warn when they collide.
+ *
+ * Combo syntax:
+ *   'j', '?', 'ArrowDown'    - single key
+ *   'mod+k', 'ctrl+shift+p'  - modifiers; mod is Cmd on macOS and Ctrl elsewhere
+ *   'g h'                    - sequence, keys pressed one after another
+ *   'Space', 'shift+Space'   - the space bar, which can't be written as ' '
+ */
+
+import { withDefaults, mergeConfig } from './config.js';
+
+const IS_MAC = typeof navigator !== 'undefined' &&
+    /Mac|iPhone|iPad/.test(navigator.platform || navigator.userAgent);
+
+const MODIFIERS = ['ctrl', 'alt', 'shift', 'meta'];
+
+// Browser shortcuts that a page should not take over
+const RESERVED = ['mod+d', 'mod+f', 'mod+l', 'mod+n', 'mod+p', 'mod+r', 'mod+t', 'mod+w'];
+
+// Names for keys that the combo syntax can't spell
+const KEY_ALIASES = {
+    space: ' '
+};
+
+const KEY_LABELS = {
+    arrowup: '↑',
+    arrowdown: '↓',
+    arrowleft: '←',
+    arrowright: '→',
+    escape: 'Esc',
+    ' ': 'Space'
+};
+
+const EDITABLE = 'input, textarea, select, [contenteditable=""], [contenteditable="true"]';
+
+/**
+ * Parse one step of a combo, e.g. 'mod+shift+k'
+ */
+function parseStep(step) {
+    const parts = step.split('+');
+    const name = parts.pop().toLowerCase();
+    const key = KEY_ALIASES[name] || name;
+    const combo = { key, ctrl: false, alt: false, shift: false, meta: false };
+
+    parts.forEach(part => {
+        const modifier = part.toLowerCase();
+        if (modifier === 'mod') {
+            combo[IS_MAC ? 'meta' : 'ctrl'] = true;
+        } else if (MODIFIERS.includes(modifier)) {
+            combo[modifier] = true;
+        } else {
+            console.warn(`Unknown modifier "${part}" in shortcut "${step}"`);
+        }
+    });
+
+    return combo;
+}
+
+/**
+ * Parse a combo string into its steps
+ * @returns {Object[]}
+ */
+export function parseCombo(combo) {
+    return combo.trim().split(/\s+/).map(parseStep);
+}
+
+// Canonical form used to detect conflicts, e.g. 'ctrl+k'
+function normalize(combo) {
+    return parseCombo(combo)
+        .map(step => [...MODIFIERS.filter(modifier => step[modifier]), step.key].join('+'))
+        .join(' ');
+}
+
+// e.code for a letter or digit, so alt+k still matches when e.key is '˚'
+function codeFor(key) {
+    if (/^[a-z]$/.test(key)) {
+        return `Key${key.toUpperCase()}`;
+    }
+    return /^[0-9]$/.test(key) ? `Digit${key}` : null;
+}
+
+function matchesStep(step, event) {
+    const key = event.key.toLowerCase();
+    const keyMatches = key === step.key || event.code === codeFor(step.key);
+
+    // Shift is part of symbols like '?', so it only counts for letters and named keys
+    const isSymbol = step.key.length === 1 && !/[a-z0-9 ]/.test(step.key);
+    const shiftMatches = isSymbol || event.shift === step.shift;
+
+    return keyMatches && shiftMatches &&
+        event.ctrl === step.ctrl && event.alt === step.alt && event.meta === step.meta;
+}
+
+/**
+ * Display form of a combo, e.g. 'mod+k' -> '⌘K' on macOS, 'Ctrl+K' elsewhere
+ */
+export function formatCombo(combo) {
+    return parseCombo(combo).map(step => {
+        const key = KEY_LABELS[step.key] || (step.key.length === 1
+            ? step.key.toUpperCase()
+            : step.key.charAt(0).toUpperCase() + step.key.slice(1));
+
+        if (IS_MAC) {
+            const symbols = `${step.ctrl ? '⌃' : ''}${step.alt ? '⌥' : ''}` +
+                `${step.shift ? '⇧' : ''}${step.meta ? '⌘' : ''}`;
+            return `${symbols}${key}`;
+        }
+
+        const modifiers = [
+            step.ctrl && 'Ctrl', step.alt && 'Alt', step.shift && 'Shift', step.meta && 'Win'
+        ];
+        return [...modifiers, key].filter(Boolean).join('+');
+    }).join(' ');
+}
+
+export class ShortcutRegistry {
+    /**
+     * @param {import('./config.js').ShortcutsConfig} [options]
+     */
+    constructor(options = {}) {
+        this.options = withDefaults('shortcuts', options);
+        this.shortcuts = new Map();
+        this.scopes = [];
+        this.history = [];
+        this.lastKeyTime = 0;
+        this.isListening = false;
+
+        this.handleKeydown = e => this.dispatch(e);
+    }
+
+    configure(options = {}) {
+        this.options = mergeConfig(this.options, options, 'shortcuts');
+
+        // Apply new bindings to shortcuts that are already registered
+        this.shortcuts.forEach(shortcut => {
+            shortcut.combos = this.resolveCombos(shortcut.id, shortcut.defaultKeys);
+        });
+        this.shortcuts.forEach(shortcut => this.checkConflicts(shortcut));
+    }
+
+    /**
+     * Register a shortcut
+     * @param {string} id - Stable id, used to rebind it from config.shortcuts.bindings
+     * @param {Object} shortcut
+     * @param {string|string[]} shortcut.keys - One or more combos
+     * @param {Function} shortcut.handler - Called with the keydown event
+     * @param {string} [shortcut.description] - Shown in the help overlay
+     * @param {string} [shortcut.group] - Heading in the help overlay
+     * @param {string[]} [shortcut.scopes] - Scopes it is active in (default ['global'])
+     * @param {boolean} [shortcut.allowInInputs] - Also fire while typing in a form field
+     * @param {boolean} [shortcut.hidden] - Leave it out of the help overlay
+     * @returns {Function} Unregister function
+     */
+    register(id, shortcut) {
+        if (this.shortcuts.has(id)) {
+            console.warn(`Shortcut "${id}" is already registered and will be replaced`);
+        }
+
+        const defaultKeys = [].concat(shortcut.keys);
+        const entry = {
+            id,
+            description: '',
+            group: 'General',
+            scopes: ['global'],
+            allowInInputs: false,
+            hidden: false,
+            ...shortcut,
+            defaultKeys,
+            combos: this.resolveCombos(id, defaultKeys)
+        };
+
+        this.shortcuts.set(id, entry);
+        this.checkConflicts(entry);
+        this.listen();
+
+        return () => {
+            if (this.shortcuts.get(id) === entry) {
+                this.shortcuts.delete(id);
+            }
+            if (!this.shortcuts.size) {
+                this.stop();
+            }
+        };
+    }
+
+    // Config bindings win over the keys a module registers with; false disables
+    resolveCombos(id, defaultKeys) {
+        const binding = this.options.bindings[id];
+        const keys = binding === undefined ? defaultKeys : [].concat(binding || []);
+
+        return keys.filter(Boolean).map(combo => ({ combo, steps: parseCombo(combo) }));
+    }
+
+    // Compares against shortcuts registered earlier, so each clash is reported once
+    checkConflicts(entry) {
+        const earlier = Array.from(this.shortcuts.values());
+        earlier.splice(earlier.indexOf(entry));
+
+        entry.combos.forEach(({ combo }) => {
+            const normalized = normalize(combo);
+
+            if (RESERVED.some(reserved => normalize(reserved) === normalized)) {
+                console.warn(`Shortcut "${entry.id}" (${combo}) overrides a browser shortcut`);
+            }
+
+            earlier.forEach(other => {
+                const sharesScope = other.scopes.some(scope => entry.scopes.includes(scope));
+                const clash = other.combos.some(({ combo: otherCombo }) =>
+                    normalize(otherCombo) === normalized);
+
+                if (sharesScope && clash) {
+                    console.warn(`Shortcut "${entry.id}" (${combo}) conflicts with "${other.id}"`);
+                }
+            });
+        });
+    }
+
+    listen() {
+        if (this.isListening) {
+            return;
+        }
+
+        document.addEventListener('keydown', this.handleKeydown);
+        this.isListening = true;
+    }
+
+    stop() {
+        document.removeEventListener('keydown', this.handleKeydown);
+        this.isListening = false;
+        this.history = [];
+    }
+
+    /**
+     * Make only shortcuts of this scope active, e.g. while a dialog is open
+     * @returns {Function} Leaves the scope again
+     */
+    pushScope(scope) {
+        this.scopes.push(scope);
+        this.history = [];
+
+        return () => {
+            const index = this.scopes.lastIndexOf(scope);
+            if (index !== -1) {
+                this.scopes.splice(index, 1);
+            }
+        };
+    }
+
+    getScope() {
+        return this.scopes[this.scopes.length - 1] || 'global';
+    }
+
+    dispatch(e) {
+        if (e.defaultPrevented || e.repeat || ['Control', 'Alt', 'Shift', 'Meta'].includes(e.key)) {
+            return;
+        }
+
+        // Keep recent keys for sequences; a pause starts a new sequence
+        const now = e.timeStamp || Date.now();
+        if (now - this.lastKeyTime > this.options.sequenceTimeout) {
+            this.history = [];
+        }
+        this.lastKeyTime = now;
+
+        this.history.push({
+            key: e.key,
+            code: e.code,
+            ctrl: e.ctrlKey,
+            alt: e.altKey,
+            shift: e.shiftKey,
+            meta: e.metaKey
+        });
+        if (this.history.length > this.options.maxSequence) {
+            this.history.shift();
+        }
+
+        const scope = this.getScope();
+        const isTyping = e.target instanceof Element && e.target.closest(EDITABLE);
+
+        for (const shortcut of this.shortcuts.values()) {
+            if (!shortcut.scopes.includes(scope) || (isTyping && !shortcut.allowInInputs)) {
+                continue;
+            }
+
+            const matched = shortcut.combos.some(({ steps }) => {
+                const recent = this.history.slice(-steps.length);
+                return recent.length === steps.length &&
+                    steps.every((step, index) => matchesStep(step, recent[index]));
+            });
+
+            if (matched) {
+                e.preventDefault();
+                this.history = [];
+                shortcut.handler(e);
+                return;
+            }
+        }
+    }
+
+    /**
+     * Visible shortcuts with their current keys, for help screens
+     * @returns {{id: string, keys: string[], description: string, group: string}[]}
+     */
+    list() {
+        return Array.from(this.shortcuts.values())
+            .filter(shortcut => !shortcut.hidden && shortcut.combos.length)
+            .map(({ id, combos, description, group }) => ({
+                id,
+                keys: combos.map(({ combo }) => formatCombo(combo)),
+                description,
+                group
+            }));
+    }
+
+    /**
+     * Display keys of a shortcut, e.g. 'T' or '⌘K'; empty if it has none
+     */
+    describe(id) {
+        const shortcut = this.shortcuts.get(id);
+        return shortcut ? shortcut.combos.map(({ combo }) => formatCombo(combo)).join(' / ') : '';
+    }
+}
+
+// Shared instance used by the app and all modules
+export const shortcuts = new ShortcutRegistry();
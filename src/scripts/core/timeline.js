@@ -0,0 +1,566 @@
+/**
+ * Timelines
+ * Sequences of CSS property tweens with labels, staggers and easings that can
+ * be played, paused, reversed, seeked and tied to scrolling. Runs on GSAP when
+ * it has been loaded and on the Web Animations API otherwise. With reduced
+ * motion, playback jumps straight to its end.
+ *
+ *   new Timeline()
+ *       .fromTo('.hero-title', { opacity: 0 }, { opacity: 1, duration: 800 })
+ *       .addLabel('cta', '-=200')
+ *       .to('.cta-button', { transform: 'scale(1.1)', ease: 'easeOutQuad' }, 'cta')
+ *       .play();
+ *
+ * Times are in ms. A position is a time, a label, 'label+=100', '+=100' or
+ * '-=100' relative to the end so far, or '<' for the start of the previous step.
+ */
+
+import { motion } from './motion.js';
+import { scrub as scrubEngine } from './scrub.js';
+import { math, performance as perf } from '../../utils/index.js';
+
+// Easings from animation.easing, as CSS timing functions and GSAP eases
+const EASINGS = {
+    linear: { css: 'linear', gsap: 'none' },
+    easeInQuad: { css: 'cubic-bezier(0.55, 0.085, 0.68, 0.53)', gsap: 'power1.in' },
+    easeOutQuad: { css: 'cubic-bezier(0.25, 0.46, 0.45, 0.94)', gsap: 'power1.out' },
+    easeInOutQuad: { css: 'cubic-bezier(0.455, 0.03, 0.515, 0.955)', gsap: 'power1.inOut' },
+    easeInCubic: { css: 'cubic-bezier(0.55, 0.055, 0.675, 0.19)', gsap: 'power2.in' },
+    easeOutCubic: { css: 'cubic-bezier(0.215, 0.61, 0.355, 1)', gsap: 'power2.out' },
+    easeInOutCubic: { css: 'cubic-bezier(0.645, 0.045, 0.355, 1)', gsap: 'power2.inOut' }
+};
+
+// Keys of a vars object that time the tween; all others are CSS properties
+const TIMING_KEYS = ['duration', 'ease', 'stagger'];
+
+let gsapInstance = null;
+let gsapPromise = null;
+
+/**
+ * Load GSAP (the vendor chunk) once; timelines built afterwards run on it
+ * @returns {Promise<Object|null>} null if it could not be loaded
+ */
+export function loadGsap() {
+    if (!gsapPromise) {
+        gsapPromise = import('gsap')
+            .then(module => {
+                gsapInstance = module.gsap || module.default;
+                return gsapInstance;
+            })
+            .catch(error => {
+                console.warn('GSAP could not be loaded, using the Web Animations API:', error);
+                return null;
+            });
+    }
+
+    return gsapPromise;
+}
+
+// Loaded through loadGsap() or by a <script> tag
+function getGsap() {
+    return gsapInstance || window.gsap || null;
+}
+
+function getEase(name) {
+    return EASINGS[name] || { css: name, gsap: name };
+}
+
+function toElements(targets) {
+    if (!targets) {
+        return [];
+    }
+    if (typeof targets === 'string') {
+        return Array.from(document.querySelectorAll(targets));
+    }
+    return targets instanceof Element ? [targets] : Array.from(targets);
+}
+
+function splitVars(vars = {}) {
+    const timing = {};
+    const props = {};
+
+    Object.entries(vars).forEach(([key, value]) => {
+        if (TIMING_KEYS.includes(key)) {
+            timing[key] = value;
+        } else {
+            props[key] = value;
+        }
+    });
+
+    return { timing, props };
+}
+
+// Function values are resolved per target, as in GSAP: (index, element) => value
+function resolveProps(props, index, element) {
+    const resolved = {};
+    Object.entries(props).forEach(([key, value]) => {
+        resolved[key] = typeof value === 'function' ? value(index, element) : value;
+    });
+    return resolved;
+}
+
+export class Timeline {
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.defaults] - duration, ease and stagger of every tween
+     * @param {Function} [options.onComplete] - Called when playback reaches the end
+     */
+    constructor(options = {}) {
+        this.defaults = { duration: 500, ease: 'easeOutCubic', stagger: 0, ...options.defaults };
+        this.onComplete = options.onComplete || null;
+        this.steps = [];
+        this.labels = new Map();
+        this.duration = 0;
+        this.previousStart = 0;
+        this.direction = 0;
+        this.driver = null;
+        this.pending = null;
+        this.cleanups = [];
+    }
+
+    /**
+     * Tween from the current values to vars
+     * @param {HTMLElement|NodeList|HTMLElement[]|string} targets
+     * @param {Object} vars - CSS properties (camelCase) plus duration, ease and stagger
+     * @param {number|string} [position] - Defaults to the end of the timeline
+     */
+    to(targets, vars, position) {
+        return this.addTween(targets, null, vars, position);
+    }
+
+    fromTo(targets, fromVars, toVars, position) {
+        return this.addTween(targets, splitVars(fromVars).props, toVars, position);
+    }
+
+    // Apply values instantly at a point in the timeline
+    set(targets, vars, position) {
+        return this.addTween(targets, null, { ...vars, duration: 0, stagger: 0 }, position);
+    }
+
+    call(callback, position) {
+        const start = this.resolvePosition(position);
+        return this.addStep({ type: 'call', callback, start, end: start });
+    }
+
+    addLabel(name, position) {
+        this.labels.set(name, this.resolvePosition(position));
+        this.invalidate();
+        return this;
+    }
+
+    addTween(targets, from, vars, position) {
+        const { timing, props } = splitVars(vars);
+        const { duration, ease, stagger } = { ...this.defaults, ...timing };
+        const elements = toElements(targets);
+        const start = this.resolvePosition(position);
+        const end = start + duration + stagger * Math.max(elements.length - 1, 0);
+
+        return this.addStep({
+            type: 'tween', elements, from, to: props, duration, ease, stagger, start, end
+        });
+    }
+
+    addStep(step) {
+        this.steps.push(step);
+        this.previousStart = step.start;
+        this.duration = Math.max(this.duration, step.end);
+        this.invalidate();
+        return this;
+    }
+
+    resolvePosition(position) {
+        if (position === undefined) {
+            return this.duration;
+        }
+        if (typeof position === 'number') {
+            return Math.max(position, 0);
+        }
+        if (position === '<') {
+            return this.previousStart;
+        }
+
+        const [, label, sign, amount] = /^(.*?)(?:([+-])=(\d+(?:\.\d+)?))?$/.exec(position);
+        let base = this.duration;
+
+        if (label && this.labels.has(label)) {
+            base = this.labels.get(label);
+        } else if (label) {
+            console.warn(`Unknown timeline label "${label}", using the end of the timeline`);
+        }
+
+        const offset = amount ? parseFloat(amount) * (sign === '-' ? -1 : 1) : 0;
+        return Math.max(base + offset, 0);
+    }
+
+    // Built on first use, with GSAP if it has loaded by then
+    getDriver() {
+        if (!this.driver) {
+            const gsap = getGsap();
+            this.driver = gsap ? new GsapDriver(gsap, this) : new WaapiDriver(this);
+        }
+        return this.driver;
+    }
+
+    // Steps added after playback started: rebuild and carry on from the same time
+    invalidate() {
+        if (!this.driver) {
+            return;
+        }
+
+        const time = this.driver.getTime();
+        const direction = this.direction;
+
+        this.driver.kill();
+        this.driver = null;
+        this.getDriver().seek(time);
+
+        if (direction) {
+            this.direction = direction;
+            this.driver.run(direction);
+        }
+    }
+
+    /**
+     * @param {number|string} [from] - Time or label to start from
+     * @returns {Promise<boolean>} True when the end is reached, false if paused or killed first
+     */
+    play(from) {
+        if (from !== undefined) {
+            this.seek(from);
+        }
+        return this.run(1);
+    }
+
+    /**
+     * Play backwards to the start
+     * @returns {Promise<boolean>}
+     */
+    reverse(from) {
+        if (from !== undefined) {
+            this.seek(from);
+        }
+        return this.run(-1);
+    }
+
+    run(direction) {
+        this.settle(false);
+
+        const driver = this.getDriver();
+        const time = driver.getTime();
+        if (this.duration > 0 && (direction > 0 ? time >= this.duration : time <= 0)) {
+            return Promise.resolve(true);
+        }
+
+        if (motion.isReduced()) {
+            driver.seek(direction > 0 ? this.duration : 0);
+            this.direction = direction;
+            this.handleEnd();
+            return Promise.resolve(true);
+        }
+
+        return new Promise(resolve => {
+            this.pending = resolve;
+            this.direction = direction;
+            driver.run(direction);
+        });
+    }
+
+    pause() {
+        this.direction = 0;
+        if (this.driver) {
+            this.driver.pause();
+        }
+        this.settle(false);
+        return this;
+    }
+
+    seek(position) {
+        const time = typeof position === 'string' ? this.resolvePosition(position) : position;
+        this.getDriver().seek(math.clamp(time, 0, this.duration));
+        return this;
+    }
+
+    /**
+     * Get the progress from 0 to 1, or jump to one
+     */
+    progress(value) {
+        if (value === undefined) {
+            return this.duration ? this.getTime() / this.duration : 1;
+        }
+        return this.seek(value * this.duration);
+    }
+
+    getTime() {
+        return this.driver ? this.driver.getTime() : 0;
+    }
+
+    isActive() {
+        return this.direction !== 0;
+    }
+
+    // Called by the driver when playback reaches either end
+    handleEnd() {
+        const forward = this.direction > 0;
+        this.direction = 0;
+        this.settle(true);
+
+        if (forward && this.onComplete) {
+            this.onComplete(this);
+        }
+    }
+
+    settle(completed) {
+        if (this.pending) {
+            const resolve = this.pending;
+            this.pending = null;
+            resolve(completed);
+        }
+    }
+
+    /**
+     * Drive the timeline by scrolling
+     * @param {HTMLElement|string} trigger
+     * @param {Object} [options]
+     * @param {boolean} [options.scrub] - Follow the trigger's way through the viewport
+     *     instead of playing when it comes into view
+     * @param {boolean} [options.once] - Otherwise reverse when the trigger leaves the viewport
+     * @param {number} [options.threshold] - Visible share of the trigger that starts playback
+     * @param {string} [options.rootMargin]
+     */
+    scrollTrigger(trigger, options = {}) {
+        const { scrub = false, once = true, threshold = 0, rootMargin = '0px' } = options;
+        const element = typeof trigger === 'string' ? document.querySelector(trigger) : trigger;
+
+        if (!element) {
+            console.warn('Timeline scroll trigger not found:', trigger);
+            return this;
+        }
+
+        if (scrub) {
+            this.cleanups.push(scrubEngine.add(element, {
+                property: null,
+                onProgress: progress => this.progress(motion.isReduced() ? 1 : progress)
+            }));
+            return this;
+        }
+
+        const observer = new IntersectionObserver(entries => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    this.play();
+                    if (once) {
+                        observer.disconnect();
+                    }
+                } else if (!once && this.getTime() > 0) {
+                    this.reverse();
+                }
+            });
+        }, { threshold, rootMargin });
+
+        observer.observe(element);
+        this.cleanups.push(() => observer.disconnect());
+        return this;
+    }
+
+    /**
+     * Stop, detach scroll triggers and remove every style the timeline applied
+     */
+    kill() {
+        this.pause();
+        this.cleanups.forEach(cleanup => cleanup());
+        this.cleanups = [];
+
+        if (this.driver) {
+            this.driver.kill();
+            this.driver = null;
+        }
+    }
+}
+
+class GsapDriver {
+    constructor(gsap, timeline) {
+        this.timeline = gsap.timeline({
+            paused: true,
+            onComplete: () => timeline.handleEnd(),
+            onReverseComplete: () => timeline.handleEnd()
+        });
+
+        timeline.labels.forEach((time, name) => this.timeline.addLabel(name, time / 1000));
+
+        timeline.steps.forEach(step => {
+            const position = step.start / 1000;
+
+            if (step.type === 'call') {
+                this.timeline.call(step.callback, null, position);
+                return;
+            }
+            if (!step.elements.length) {
+                return;
+            }
+
+            const vars = {
+                ...step.to,
+                duration: step.duration / 1000,
+                ease: getEase(step.ease).gsap,
+                stagger: step.stagger / 1000
+            };
+
+            if (step.from) {
+                this.timeline.fromTo(step.elements, step.from, vars, position);
+            } else {
+                this.timeline.to(step.elements, vars, position);
+            }
+        });
+    }
+
+    run(direction) {
+        if (direction > 0) {
+            this.timeline.play();
+        } else {
+            this.timeline.reverse();
+        }
+    }
+
+    pause() {
+        this.timeline.pause();
+    }
+
+    // Callbacks fire when seeking past them, as they do with the other driver
+    seek(time) {
+        this.timeline.seek(time / 1000, false);
+    }
+
+    getTime() {
+        return this.timeline.time() * 1000;
+    }
+
+    kill() {
+        this.timeline.revert();
+        this.timeline.kill();
+    }
+}
+
+// Drives paused Web Animations from its own clock so every step shares one playhead
+class WaapiDriver {
+    constructor(timeline) {
+        this.timeline = timeline;
+        this.time = 0;
+        this.direction = 0;
+        this.lastFrame = null;
+        this.frameId = null;
+        this.calls = timeline.steps.filter(step => step.type === 'call');
+        this.effects = [];
+
+        timeline.steps.filter(step => step.type === 'tween').forEach(step => {
+            step.elements.forEach((element, index) => {
+                this.effects.push(this.createEffect(element, step, index));
+            });
+        });
+    }
+
+    createEffect(element, step, index) {
+        const from = step.from ? resolveProps(step.from, index, element) : null;
+        const to = resolveProps(step.to, index, element);
+        const start = step.start + step.stagger * index;
+        const effect = { element, from, to, end: start + step.duration, animation: null };
+
+        if (typeof element.animate === 'function') {
+            // fromTo shows its start values before it begins, like GSAP's immediate render
+            effect.animation = element.animate(from ? [from, to] : [to], {
+                duration: step.duration,
+                delay: start,
+                easing: getEase(step.ease).css,
+                fill: from ? 'both' : 'forwards'
+            });
+            effect.animation.pause();
+            effect.animation.currentTime = 0;
+        } else {
+            // Without Web Animations the values switch at the end of each tween
+            effect.style = element.getAttribute('style');
+            if (from) {
+                Object.assign(element.style, from);
+            }
+        }
+
+        return effect;
+    }
+
+    run(direction) {
+        this.direction = direction;
+
+        if (this.frameId === null) {
+            this.lastFrame = null;
+            this.frameId = perf.requestAnimationFrame(time => this.step(time));
+        }
+    }
+
+    step(now) {
+        this.frameId = null;
+
+        // Timed from the first frame, so a slow start doesn't skip ahead
+        const elapsed = this.lastFrame === null ? 0 : now - this.lastFrame;
+        this.lastFrame = now;
+        this.seek(this.time + elapsed * this.direction);
+
+        const done = this.direction > 0 ? this.time >= this.timeline.duration : this.time <= 0;
+        if (done) {
+            this.direction = 0;
+            this.timeline.handleEnd();
+        } else {
+            this.frameId = perf.requestAnimationFrame(time => this.step(time));
+        }
+    }
+
+    pause() {
+        this.direction = 0;
+        perf.cancelAnimationFrame(this.frameId);
+        this.frameId = null;
+    }
+
+    seek(time) {
+        const previous = this.time;
+        this.time = math.clamp(time, 0, this.timeline.duration);
+
+        this.effects.forEach(effect => {
+            if (effect.animation) {
+                effect.animation.currentTime = this.time;
+            } else if (this.time >= effect.end) {
+                Object.assign(effect.element.style, effect.to);
+            } else if (effect.from) {
+                Object.assign(effect.element.style, effect.from);
+            }
+        });
+
+        // Callbacks fire when the playhead passes them, in either direction
+        this.calls.forEach(({ start, callback }) => {
+            const passedForward = this.time > previous &&
+                (start > previous || (start === 0 && previous === 0)) && start <= this.time;
+            const passedBackward = this.time < previous && start < previous && start >= this.time;
+            const atZeroLength = this.timeline.duration === 0 && this.direction > 0;
+
+            if (passedForward || passedBackward || atZeroLength) {
+                callback();
+            }
+        });
+    }
+
+    getTime() {
+        return this.time;
+    }
+
+    kill() {
+        this.pause();
+
+        // Newest first, so elements end up with the style they had before the first one
+        this.effects.reverse().forEach(effect => {
+            if (effect.animation) {
+                effect.animation.cancel();
+            } else if (effect.style === null) {
+                effect.element.removeAttribute('style');
+            } else {
+                effect.element.setAttribute('style', effect.style);
+            }
+        });
+        this.effects = [];
+    }
+}
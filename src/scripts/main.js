@@ -5,140 +5,321 @@
 
 import { CursorManager } from './modules/cursor.js';
 import { NavigationManager } from './modules/navigation.js';
+import { ProjectManager } from './modules/projects.js';
+import { SectionRail } from './modules/rail.js';
+import { SessionManager } from './modules/session.js';
+import { RouterManager } from './modules/router.js';
 import { AnimationManager } from './modules/animations.js';
+import { TiltManager } from './modules/tilt.js';
 import { FormManager } from './modules/forms.js';
 import { PerformanceManager } from './modules/performance.js';
 import { ThemeManager } from './modules/theme.js';
+import { CommandPalette } from './modules/palette.js';
+import { MotionToggle } from './modules/motion.js';
+import { ShortcutHelp } from './modules/shortcuts.js';
+import { ModuleRegistry } from './core/registry.js';
+import { bus } from './core/bus.js';
+import { scheduler } from './core/scheduler.js';
+import { scrollEngine } from './core/scroll.js';
+import { shortcuts } from './core/shortcuts.js';
+import { session } from './core/session.js';
+import { motion } from './core/motion.js';
+import { quality } from './core/quality.js';
+import { LoadingScreen } from './core/loader.js';
+import { Disposables } from './core/disposables.js';
+import { ErrorReporter } from './core/errors.js';
+import { defaultConfig, mergeConfig, resolveConfig } from './core/config.js';
 
 class PortfolioApp {
-    constructor() {
+    /**
+     * @param {Object} [config] - Partial config tree, see core/config.js
+     */
+    constructor(config = {}) {
         this.modules = {};
+        this.userConfig = config;
+        this.config = mergeConfig(defaultConfig, config);
+        this.errors = new ErrorReporter(this.config.errors);
+        this.registry = new ModuleRegistry({
+            onError: (error, name, phase) => this.reportError(error, { module: name, phase })
+        });
+        this.bus = bus;
+        this.scheduler = scheduler;
+        this.loader = null;
+        this.disposables = new Disposables();
         this.isInitialized = false;
+        this.registerCoreModules();
         this.init();
     }
 
     async init() {
+        if (this.isInitialized) {
+            return;
+        }
+        
         try {
+            // Capture uncaught errors and unhandled rejections
+            this.errors.install();
+            
             // Wait for DOM to be ready
             if (document.readyState === 'loading') {
-                document.addEventListener('DOMContentLoaded', () => this.setup());
+                this.disposables.listen(document, 'DOMContentLoaded', () => this.setup(), {
+                    once: true
+                });
             } else {
                 this.setup();
             }
         } catch (error) {
-            console.error('Failed to initialize portfolio app:', error);
+            this.reportError(error, { phase: 'init' });
         }
     }
 
     setup() {
-        // Initialize loading screen
-        this.initLoadingScreen();
-        
-        // Initialize all modules
-        this.initializeModules();
-        
-        // Set up event listeners
-        this.setupEventListeners();
-        
-        // Mark as initialized
-        this.isInitialized = true;
-        
-        // Console welcome message
-        this.showWelcomeMessage();
+        try {
+            // Markup overrides (JSON block, data-* attributes) need the DOM
+            this.config = resolveConfig(this.userConfig);
+            this.errors.configure(this.config.errors);
+            motion.configure(this.config.motion);
+            quality.configure(this.config.quality);
+            scrollEngine.configure(this.config.scroll);
+            shortcuts.configure(this.config.shortcuts);
+            session.configure(this.config.session);
+            
+            // Initialize loading screen
+            this.initLoadingScreen();
+            
+            // Initialize all modules; a failing module is reported and skipped
+            this.initializeModules();
+            this.trackModuleReadiness();
+            
+            // Set up event listeners
+            this.setupEventListeners();
+            
+            // Frame rates while the loader runs say little about the page itself
+            this.disposables.add(this.bus.once('loader:complete', () => quality.start()));
+            
+            // Mark as initialized
+            this.isInitialized = true;
+            this.bus.emit('app:ready', { modules: Object.keys(this.modules) });
+            
+            // Reveal the page once everything tracked so far has loaded
+            this.loader.finish();
+            
+            // Console welcome message
+            this.showWelcomeMessage();
+        } catch (error) {
+            this.reportError(error, { phase: 'setup' });
+            
+            // Never leave the visitor stuck behind the loading screen
+            if (this.loader) {
+                this.loader.hide();
+            }
+        }
     }
 
     initLoadingScreen() {
-        const loading = document.getElementById('loading');
-        if (loading) {
-            // Simulate loading time for better UX
-            setTimeout(() => {
-                loading.classList.add('hide');
-                setTimeout(() => {
-                    loading.style.display = 'none';
-                }, 500);
-            }, 1500);
-        }
+        const element = document.getElementById('loading');
+        this.loader = new LoadingScreen(element, this.getLoaderOptions());
+        
+        // Track what the first screen actually needs before revealing it
+        this.loader.trackFonts();
+        this.loader.trackAboveTheFoldImages();
+        this.loader.addTask('modules', 2);
     }
 
-    initializeModules() {
-        // Initialize cursor manager
-        this.modules.cursor = new CursorManager();
-        
-        // Initialize navigation manager
-        this.modules.navigation = new NavigationManager();
+    // Visitors who were here a moment ago have most assets cached; keep the loader brief
+    getLoaderOptions() {
+        const options = { ...this.config.loader };
         
-        // Initialize animation manager
-        this.modules.animations = new AnimationManager();
+        if (session.isReturning(options.returnWindow)) {
+            options.minDisplay = options.returnMinDisplay;
+            options.maxWait = options.returnMaxWait;
+        }
         
-        // Initialize form manager
-        this.modules.forms = new FormManager();
+        // No lingering for the sake of the animation with reduced motion
+        if (motion.isReduced()) {
+            options.minDisplay = 0;
+        }
+        if (motion.isDisabled()) {
+            options.fadeDuration = 0;
+        }
         
-        // Initialize performance manager
-        this.modules.performance = new PerformanceManager();
+        return options;
+    }
+
+    // Modules that expose a `ready` promise hold the loading screen until it settles
+    trackModuleReadiness() {
+        this.registry.instances.forEach((instance, name) => {
+            if (instance && instance.ready && typeof instance.ready.then === 'function') {
+                this.loader.track(`module:${name}`, instance.ready);
+            }
+        });
         
-        // Initialize theme manager
-        this.modules.theme = new ThemeManager();
+        this.loader.complete('modules');
     }
 
-    setupEventListeners() {
-        // Handle window resize
-        window.addEventListener('resize', this.debounce(() => {
-            this.modules.animations.handleResize();
-        }, 250));
-
-        // Handle scroll events
-        window.addEventListener('scroll', this.debounce(() => {
-            this.modules.performance.updateProgressBar();
-            this.modules.animations.handleScroll();
-            this.modules.navigation.updateActiveSection();
-        }, 16));
+    registerCoreModules() {
+        this.register('cursor', { init: ({ options }) => new CursorManager(options) });
+        this.register('navigation', { init: ({ options }) => new NavigationManager(options) });
+        this.register('projects', { init: () => new ProjectManager() });
+        this.register('rail', {
+            dependencies: ['navigation'],
+            init: ({ modules, options }) => new SectionRail(modules.navigation, options)
+        });
+        this.register('session', {
+            dependencies: ['navigation', 'projects'],
+            init: ({ modules }) => new SessionManager(modules.navigation, modules.projects)
+        });
+        this.register('router', {
+            dependencies: ['navigation', 'projects'],
+            init: ({ modules, options }) =>
+                new RouterManager(modules.navigation, modules.projects, options)
+        });
+        this.register('animations', { init: ({ options }) => new AnimationManager(options) });
+        this.register('tilt', { init: ({ options }) => new TiltManager(options) });
+        this.register('forms', { init: ({ options }) => new FormManager(options) });
+        this.register('performance', { init: ({ options }) => new PerformanceManager(options) });
+        this.register('theme', { init: ({ options }) => new ThemeManager(options) });
+        this.register('palette', { init: ({ app, options }) => new CommandPalette(app, options) });
+        this.register('motion', { init: () => new MotionToggle() });
+        this.register('shortcuts', { init: () => new ShortcutHelp() });
+    }
 
-        // Handle visibility change
-        document.addEventListener('visibilitychange', () => {
-            if (document.hidden) {
-                this.modules.performance.pauseAnimations();
-            } else {
-                this.modules.performance.resumeAnimations();
+    initializeModules() {
+        // Modules switched off in config, e.g. { modules: { cursor: false } }
+        Object.entries(this.config.modules).forEach(([name, enabled]) => {
+            if (enabled === false && this.registry.has(name)) {
+                this.registry.unregister(name);
             }
         });
+        
+        // Start registered modules in dependency order
+        this.registry.initAll({
+            app: this,
+            bus: this.bus,
+            scheduler: this.scheduler,
+            config: this.config
+        });
+        this.syncModules();
+    }
 
-        // Handle beforeunload
-        window.addEventListener('beforeunload', () => {
-            this.modules.performance.cleanup();
+    // Keep the name -> instance map in step with the registry
+    syncModules() {
+        this.modules = {};
+        this.registry.instances.forEach((instance, name) => {
+            this.modules[name] = instance;
         });
     }
 
-    debounce(func, wait) {
-        let timeout;
-        return function executedFunction(...args) {
-            const later = () => {
-                clearTimeout(timeout);
-                func(...args);
-            };
-            clearTimeout(timeout);
-            timeout = setTimeout(later, wait);
-        };
+    // Translate document events into bus events for the modules
+    // Scroll and resize are handled per frame by the shared scheduler
+    setupEventListeners() {
+        // Handle visibility change
+        this.disposables.listen(document, 'visibilitychange', () => {
+            this.bus.emit(document.hidden ? 'visibility:hidden' : 'visibility:visible');
+        });
+
+        // Handle beforeunload
+        this.disposables.listen(window, 'beforeunload', () => {
+            this.bus.emit('app:unload');
+        });
     }
 
     showWelcomeMessage() {
         console.log('%c🎨 Welcome to Jordan Blake\'s Portfolio!', 'color: #00D4FF; font-size: 16px; font-weight: bold;');
         console.log('%cBuilt with pure HTML5, CSS3 & Vanilla JavaScript', 'color: #00FF88;');
         console.log('%cNo frameworks • Cutting-edge animations • Mobile-first design', 'color: #999;');
-        console.log('%cEaster eggs: Konami code ↑↑↓↓←→←→BA or Ctrl+D', 'color: #666;');
+        console.log('%cPress ? for keyboard shortcuts • Konami code ↑↑↓↓←→←→BA', 'color: #666;');
     }
 
     // Public API methods
+
+    /**
+     * Register a module with the app
+     * Modules registered after initialization are started immediately
+     * @param {string} name - Unique module name
+     * @param {Object} definition - { dependencies, init(context), destroy(instance) }
+     */
+    register(name, definition) {
+        this.registry.register(name, definition);
+
+        if (this.isInitialized) {
+            this.initializeModules();
+        }
+
+        return this;
+    }
+
+    /**
+     * Stop and remove a module, along with any module that depends on it
+     */
+    unregister(name) {
+        const removed = this.registry.unregister(name);
+        this.syncModules();
+        return removed;
+    }
+
+    get(name) {
+        return this.registry.get(name);
+    }
+
+    /**
+     * Hold the loading screen until a promise settles, e.g. a lazy chunk:
+     * app.trackLoading('gallery', import('./gallery.js'))
+     */
+    trackLoading(name, promise, weight = 1) {
+        if (this.loader) {
+            return this.loader.track(name, promise, weight);
+        }
+        return Promise.resolve(promise);
+    }
+
+    /**
+     * Scroll to an element, selector or y position without hiding it under the nav
+     * Resolves with false if the user scrolled themselves before it finished.
+     */
+    scrollTo(target, options) {
+        return scrollEngine.scrollTo(target, options);
+    }
+
+    /**
+     * Record an error with the reporter, e.g. from a custom module:
+     * app.reportError(error, { module: 'gallery' })
+     */
+    reportError(error, context = {}) {
+        return this.errors.capture(error, context);
+    }
+
+    // Subscribe to app-wide events, e.g. app.on('section:change', ({ id }) => ...)
+    on(name, handler) {
+        return this.bus.on(name, handler);
+    }
+
+    emit(name, detail) {
+        this.bus.emit(name, detail);
+    }
+
     getModule(name) {
-        return this.modules[name];
+        return this.get(name);
     }
 
+    /**
+     * Tear down every module and app listener; init() can start the app again
+     */
     destroy() {
-        // Clean up all modules
-        Object.values(this.modules).forEach(module => {
-            if (module && typeof module.destroy === 'function') {
-                module.destroy();
-            }
-        });
+        // Clean up all modules, dependents first
+        this.registry.destroyAll();
+        
+        // Remove app-level listeners
+        this.disposables.dispose();
+        this.errors.destroy();
+        scrollEngine.destroy();
+        motion.destroy();
+        quality.destroy();
+        
+        if (this.loader) {
+            this.loader.destroy();
+            this.loader = null;
+        }
         
         this.isInitialized = false;
         this.modules = {};
@@ -146,9 +327,11 @@ class PortfolioApp {
 }
 
 // Initialize the app when the script loads
-const app = new PortfolioApp();
+// Config can also come from window.PortfolioConfig, set before this script runs
+const app = new PortfolioApp(window.PortfolioConfig);
 
 // Export for potential external use
+export { PortfolioApp };
 export default app;
 
 // Make available globally for debugging
@@ -1,16 +1,48 @@
 /**
  * Animation Manager
  * Handles scroll-triggered animations, parallax effects, and interactive animations
+ * Sequenced animations (hero intro, section reveals) run on timelines.
+ * Parallax and the typewriter stop under reduced motion.
+ * Markup opts into reveal presets with data-animate and data-stagger.
  */
 
+import { bus } from '../core/bus.js';
+import { scheduler } from '../core/scheduler.js';
+import { Disposables } from '../core/disposables.js';
+import { motion } from '../core/motion.js';
+import { scrub } from '../core/scrub.js';
+import { Timeline, loadGsap } from '../core/timeline.js';
+import { withDefaults } from '../core/config.js';
+
+// Milliseconds from a data-* attribute, or the fallback when missing or invalid
+function readTime(value, fallback) {
+    const time = parseFloat(value);
+    return Number.isFinite(time) && time >= 0 ? time : fallback;
+}
+
 export class AnimationManager {
-    constructor() {
+    /**
+     * @param {import('../core/config.js').AnimationsConfig} [options]
+     */
+    constructor(options = {}) {
+        this.options = withDefaults('animations', options);
         this.fadeElements = [];
         this.skillCards = [];
-        this.projectCards = [];
         this.floatingElements = [];
         this.observer = null;
-        this.isAnimating = false;
+        this.pendingReveals = [];
+        this.reveals = new Map();
+        this.pendingResets = [];
+        this.timelines = new Set();
+        this.intro = null;
+        this.isPageRevealed = false;
+        this.isDestroyed = false;
+        this.typeNext = null;
+        this.resetTypewriter = null;
+        this.isTyping = false;
+        this.isTypewriterDue = false;
+        this.ready = null;
+        this.disposables = new Disposables();
         
         this.init();
     }
@@ -18,97 +50,278 @@ export class AnimationManager {
     init() {
         this.fadeElements = document.querySelectorAll('.fade-in');
         this.skillCards = document.querySelectorAll('.skill-card');
-        this.projectCards = document.querySelectorAll('.project-card');
         this.floatingElements = document.querySelectorAll('.floating-element');
         
         this.setupIntersectionObserver();
-        this.setupProjectCardInteractions();
         this.setupFloatingElements();
         this.initTypewriterEffect();
+        this.subscribeToEvents();
+        
+        // Holds the loading screen until GSAP is in, so the intro and reveals can run on it
+        this.ready = loadGsap().then(() => {
+            this.setupIntro();
+            this.bindAnimations();
+        });
     }
 
-    setupIntersectionObserver() {
-        const observerOptions = {
-            threshold: 0.1,
-            rootMargin: '0px 0px -100px 0px'
-        };
+    subscribeToEvents() {
+        this.disposables.add(scheduler.subscribe({
+            measure: state => this.measureScroll(state),
+            mutate: state => this.applyScroll(state)
+        }));
+        this.disposables.add(bus.on('section:change', ({ id }) => this.revealSection(id)));
+        this.disposables.add(bus.on('motion:change', () => this.applyMotion()));
+        this.disposables.add(bus.once('loader:complete', () => {
+            this.isPageRevealed = true;
+            if (this.intro) {
+                this.intro.play();
+            }
+        }));
+    }
+
+    /**
+     * Timeline that is killed along with this manager
+     * @param {Object} [options] - See Timeline
+     * @returns {Timeline}
+     */
+    createTimeline(options) {
+        const timeline = new Timeline(options);
+        this.timelines.add(timeline);
+        return timeline;
+    }
 
+    // Hero title, subtitle and call to action slide in once the loading screen is gone
+    setupIntro() {
+        if (this.isDestroyed) {
+            return;
+        }
+        
+        const { selector, duration, stagger, delay, ease } = this.options.intro;
+        
+        // Killed when done so its inline styles don't override hover states
+        this.intro = this.createTimeline({ onComplete: timeline => timeline.kill() })
+            .fromTo(selector,
+                { opacity: 0, transform: 'translateY(50px)' },
+                { opacity: 1, transform: 'translateY(0)', duration, stagger, ease },
+                delay)
+            .call(() => this.startTypewriter(), this.options.typewriter.startDelay);
+        
+        if (this.isPageRevealed) {
+            this.intro.play();
+        } else {
+            this.intro.seek(0);
+        }
+    }
+
+    // Stop or resume what moves on its own when the motion level changes
+    applyMotion() {
+        if (motion.isReduced()) {
+            this.stopTypewriter();
+        } else if (this.isTypewriterDue) {
+            this.startTypewriter();
+        }
+    }
+
+    // Make sure a section jumped to from elsewhere is not left hidden
+    revealSection(sectionId) {
+        const section = document.getElementById(sectionId);
+        if (section && section.classList.contains('fade-in')) {
+            this.reveal(section);
+        }
+    }
+
+    /**
+     * Show a .fade-in element, then fill the skill bars inside it one after another
+     */
+    reveal(element) {
+        if (element.classList.contains('visible')) {
+            return;
+        }
+        
+        element.classList.add('visible');
+        
+        const bars = element.querySelectorAll('.skill-progress[data-width]');
+        if (!bars.length) {
+            return;
+        }
+        
+        const { skillProgressDelay, skillProgressDuration, skillStagger } = this.options;
+        
+        // Only forgotten when done; killing it would empty the bars again
+        this.createTimeline({ onComplete: timeline => this.timelines.delete(timeline) })
+            .to(bars, {
+                transform: (index, bar) => `scaleX(${bar.dataset.width / 100})`,
+                duration: skillProgressDuration,
+                stagger: skillStagger,
+                ease: 'easeOutQuad'
+            }, skillProgressDelay)
+            .play();
+    }
+
+    setupIntersectionObserver() {
+        // Shared by .fade-in elements and data-animate reveals
         this.observer = new IntersectionObserver((entries) => {
             entries.forEach(entry => {
-                if (entry.isIntersecting) {
-                    entry.target.classList.add('visible');
-                    
-                    // Special handling for skill cards
-                    if (entry.target.classList.contains('skill-card')) {
-                        this.animateSkillProgress(entry.target);
-                    }
+                if (!entry.isIntersecting) {
+                    return;
+                }
+                
+                const reveal = this.reveals.get(entry.target);
+                if (reveal) {
+                    this.showReveal(reveal);
+                } else {
+                    this.reveal(entry.target);
                 }
             });
-        }, observerOptions);
+        }, this.options.observer);
+        this.disposables.observe(this.observer);
 
         this.fadeElements.forEach(element => {
             this.observer.observe(element);
         });
     }
 
-    setupProjectCardInteractions() {
-        this.projectCards.forEach(card => {
-            card.addEventListener('mouseenter', () => {
-                this.animateProjectCard(card, 'enter');
-            });
+    /**
+     * Wire up data-animate elements and data-stagger containers under root
+     * Elements that are already wired are skipped, so call it again after adding markup.
+     * @param {ParentNode} [root]
+     */
+    bindAnimations(root = document) {
+        if (this.isDestroyed) {
+            return;
+        }
+        
+        root.querySelectorAll('[data-animate], [data-stagger]').forEach(target => {
+            // Children of a stagger container are revealed with it
+            const parent = target.parentElement;
+            if (this.reveals.has(target) || (parent && parent.hasAttribute('data-stagger'))) {
+                return;
+            }
             
-            card.addEventListener('mouseleave', () => {
-                this.animateProjectCard(card, 'leave');
-            });
+            const reveal = this.createReveal(target);
+            this.reveals.set(target, reveal);
+            this.hideReveal(reveal);
+            this.observer.observe(target);
         });
     }
 
-    setupFloatingElements() {
-        this.floatingElements.forEach((element, index) => {
-            const speed = element.dataset.speed || 0.1;
-            element.dataset.speed = speed;
+    // Read the attributes of a target into the elements to reveal and their timing
+    createReveal(target) {
+        const defaults = this.options.reveal;
+        const delay = readTime(target.dataset.animateDelay, defaults.delay);
+        const duration = readTime(target.dataset.animateDuration, defaults.duration);
+        const onceAttribute = target.dataset.animateOnce;
+        const once = onceAttribute === undefined ? defaults.once : onceAttribute !== 'false';
+        
+        const isStagger = target.hasAttribute('data-stagger');
+        const elements = isStagger ? Array.from(target.children) : [target];
+        const stagger = readTime(target.dataset.stagger, defaults.stagger);
+        
+        const items = elements.map((element, index) => {
+            const own = element === target ? {} : element.dataset;
+            return {
+                element,
+                preset: this.getPreset(own.animate || target.dataset.animate),
+                delay: delay + index * stagger + readTime(own.animateDelay, 0),
+                duration: readTime(own.animateDuration, duration)
+            };
         });
+        
+        return { target, items, once, timeline: null, isShown: false };
     }
 
-    animateProjectCard(card, action) {
-        if (action === 'enter') {
-            card.style.transform = 'translateY(-10px) scale(1.02)';
-        } else {
-            card.style.transform = 'translateY(0) scale(1)';
+    getPreset(name) {
+        const { presets, preset } = this.options.reveal;
+        if (name && !presets[name]) {
+            console.warn(`Unknown animation preset "${name}"`);
         }
+        return presets[name] || presets[preset];
     }
 
-    animateSkillProgress(skillCard) {
-        const progressBar = skillCard.querySelector('.skill-progress');
-        if (progressBar) {
-            const width = progressBar.dataset.width;
-            if (width) {
-                // Animate progress bar
-                setTimeout(() => {
-                    progressBar.style.transform = `scaleX(${width / 100})`;
-                }, 200);
-            }
+    // Timeline from the hidden state to the natural one; killed when done to give styles back
+    createRevealTimeline(reveal) {
+        const timeline = this.createTimeline({
+            onComplete: () => this.killRevealTimeline(reveal)
+        });
+        
+        reveal.items.forEach(({ element, preset, delay, duration }) => {
+            timeline.fromTo(element, preset.from, {
+                ...preset.to,
+                duration,
+                ease: this.options.reveal.ease
+            }, delay);
+        });
+        
+        return timeline;
+    }
+
+    killRevealTimeline(reveal) {
+        if (reveal.timeline) {
+            reveal.timeline.kill();
+            this.timelines.delete(reveal.timeline);
+            reveal.timeline = null;
         }
     }
 
+    // Put the elements in their start state, ready to play
+    hideReveal(reveal) {
+        this.killRevealTimeline(reveal);
+        reveal.timeline = this.createRevealTimeline(reveal);
+        reveal.timeline.seek(0);
+        reveal.isShown = false;
+    }
+
+    showReveal(reveal) {
+        if (reveal.isShown) {
+            return;
+        }
+        
+        reveal.isShown = true;
+        reveal.timeline.play();
+        
+        if (reveal.once) {
+            this.observer.unobserve(reveal.target);
+        }
+    }
+
+    // Parallax: drift across the element's pass through the viewport, plus data-rotate degrees
+    setupFloatingElements() {
+        this.floatingElements.forEach(element => {
+            const speed = parseFloat(element.dataset.speed) || this.options.parallaxSpeed;
+            const distance = speed * this.options.parallaxDistance;
+            const channels = { translateY: [-distance, distance] };
+            
+            const rotate = parseFloat(element.dataset.rotate);
+            if (rotate) {
+                channels.rotate = [0, rotate];
+            }
+            
+            this.disposables.add(scrub.add(element, { channels }));
+        });
+    }
+
     initTypewriterEffect() {
-        const texts = [
-            'Creative Developer',
-            'Digital Artist', 
-            'UI/UX Designer',
-            'Problem Solver'
-        ];
+        const { enabled, phrases: texts, deleteSpeed, holdDelay, nextDelay } =
+            this.options.typewriter;
+        
+        if (!enabled || !texts.length) return;
         
         let textIndex = 0;
         let charIndex = 0;
         let isDeleting = false;
+        let timer = null;
         const subtitle = document.querySelector('.hero-subtitle');
         
         if (!subtitle) return;
         
         const originalText = subtitle.textContent;
         
-        function type() {
+        // Put the markup text back when the manager is torn down
+        this.disposables.add(() => {
+            subtitle.textContent = originalText;
+        });
+        
+        const type = () => {
             const currentText = texts[textIndex];
             
             if (isDeleting) {
@@ -119,70 +332,92 @@ export class AnimationManager {
                 charIndex++;
             }
             
-            let typeSpeed = isDeleting ? 50 : 100;
+            let typeSpeed = isDeleting ? deleteSpeed : this.options.typewriter.typeSpeed;
             
             if (!isDeleting && charIndex === currentText.length) {
-                typeSpeed = 2000;
+                typeSpeed = holdDelay;
                 isDeleting = true;
             } else if (isDeleting && charIndex === 0) {
                 isDeleting = false;
                 textIndex = (textIndex + 1) % texts.length;
-                typeSpeed = 500;
+                typeSpeed = nextDelay;
             }
             
-            setTimeout(type, typeSpeed);
-        }
+            timer = this.disposables.setTimeout(type, typeSpeed);
+        };
         
-        // Start typewriter after initial animation
-        setTimeout(type, 2000);
+        // Started by the hero intro; stopping it puts the markup text back
+        this.typeNext = type;
+        this.resetTypewriter = () => {
+            this.disposables.clearTimeout(timer);
+            textIndex = 0;
+            charIndex = 0;
+            isDeleting = false;
+            subtitle.textContent = originalText;
+        };
     }
 
-    handleScroll() {
-        if (this.isAnimating) return;
-        
-        this.isAnimating = true;
-        
-        // Parallax effect for floating elements
-        this.updateParallax();
+    startTypewriter() {
+        this.isTypewriterDue = true;
         
+        if (this.typeNext && !this.isTyping && !motion.isReduced()) {
+            this.isTyping = true;
+            this.typeNext();
+        }
+    }
+
+    stopTypewriter() {
+        if (this.isTyping) {
+            this.isTyping = false;
+            this.resetTypewriter();
+        }
+    }
+
+    // Scheduler measure phase: layout reads only
+    measureScroll(state) {
         // Check for new elements to animate
-        this.checkForNewAnimations();
-        
-        requestAnimationFrame(() => {
-            this.isAnimating = false;
-        });
+        this.pendingReveals = this.checkForNewAnimations(state.viewportHeight);
+        this.pendingResets = this.checkForLeftReveals(state.viewportHeight);
     }
 
-    updateParallax() {
-        const scrolled = window.scrollY;
+    // Scheduler mutate phase: DOM writes only
+    applyScroll(state) {
+        if (state.resized) {
+            this.handleResize();
+        }
+        
+        this.pendingReveals.forEach(element => this.reveal(element));
+        this.pendingReveals = [];
         
-        this.floatingElements.forEach((element, index) => {
-            const speed = parseFloat(element.dataset.speed) || 0.1;
-            const translateY = scrolled * speed;
-            const rotate = scrolled * 0.1;
+        this.pendingResets.forEach(reveal => this.hideReveal(reveal));
+        this.pendingResets = [];
+    }
+
+    // Returns the elements that have come into view but are not revealed yet
+    checkForNewAnimations(viewportHeight = window.innerHeight) {
+        return Array.from(this.fadeElements).filter(element => {
+            if (element.classList.contains('visible')) {
+                return false;
+            }
             
-            element.style.transform = `translateY(${translateY}px) rotate(${rotate}deg)`;
+            const rect = element.getBoundingClientRect();
+            return rect.top < viewportHeight * this.options.revealRatio;
         });
     }
 
-    checkForNewAnimations() {
-        // Check if any new elements have come into view
-        this.fadeElements.forEach(element => {
-            if (!element.classList.contains('visible')) {
-                const rect = element.getBoundingClientRect();
-                const isVisible = rect.top < window.innerHeight * 0.8;
-                
-                if (isVisible) {
-                    element.classList.add('visible');
-                }
+    // Repeating reveals that are fully off screen, so they can play again on the way back
+    checkForLeftReveals(viewportHeight = window.innerHeight) {
+        return Array.from(this.reveals.values()).filter(reveal => {
+            if (reveal.once || !reveal.isShown) {
+                return false;
             }
+            
+            const rect = reveal.target.getBoundingClientRect();
+            return rect.bottom < 0 || rect.top > viewportHeight;
         });
     }
 
     handleResize() {
-        // Recalculate positions and sizes for responsive animations
-        this.updateParallax();
-        
         // Re-observe elements if needed
         if (this.observer) {
             this.fadeElements.forEach(element => {
@@ -193,13 +428,20 @@ export class AnimationManager {
 
     // Public methods for external control
     animateElement(element, animation, duration = 1000) {
-        if (!element) return;
+        if (!element || motion.isReduced()) {
+            return;
+        }
         
         element.style.animation = `${animation} ${duration}ms ease-in-out`;
         
-        setTimeout(() => {
-            element.style.animation = '';
-        }, duration);
+        // Clear it once it has run so it can be started again; children's animations bubble
+        const reset = (e) => {
+            if (e.target === element) {
+                element.style.animation = '';
+                element.removeEventListener('animationend', reset);
+            }
+        };
+        this.disposables.listen(element, 'animationend', reset);
     }
 
     addFadeInElement(element) {
@@ -210,7 +452,10 @@ export class AnimationManager {
         }
     }
 
-    // Method to add custom scroll-triggered animations
+    /**
+     * Run a CSS animation when the element scrolls into view
+     * @returns {Timeline} Kill it to cancel
+     */
     addScrollAnimation(element, options = {}) {
         const {
             threshold = 0.1,
@@ -219,39 +464,30 @@ export class AnimationManager {
             delay = 0
         } = options;
         
-        const observer = new IntersectionObserver((entries) => {
-            entries.forEach(entry => {
-                if (entry.isIntersecting) {
-                    setTimeout(() => {
-                        this.animateElement(entry.target, animation, duration);
-                    }, delay);
-                }
-            });
-        }, { threshold });
-        
-        observer.observe(element);
-        
-        return observer;
+        return this.createTimeline()
+            .call(() => this.animateElement(element, animation, duration), delay)
+            .scrollTrigger(element, { threshold });
     }
 
     destroy() {
-        // Disconnect intersection observer
-        if (this.observer) {
-            this.observer.disconnect();
-        }
-        
-        // Remove event listeners
-        this.projectCards.forEach(card => {
-            card.removeEventListener('mouseenter', this.handleProjectCardEnter);
-            card.removeEventListener('mouseleave', this.handleProjectCardLeave);
-        });
+        // Disconnect observers, remove listeners and stop the typewriter and timers
+        this.isDestroyed = true;
+        this.disposables.dispose();
+        this.timelines.forEach(timeline => timeline.kill());
+        this.timelines.clear();
+        this.reveals.clear();
+        this.intro = null;
+        this.typeNext = null;
+        this.resetTypewriter = null;
+        this.isTyping = false;
+        this.isTypewriterDue = false;
         
         // Reset state
         this.fadeElements = [];
         this.skillCards = [];
-        this.projectCards = [];
         this.floatingElements = [];
         this.observer = null;
-        this.isAnimating = false;
+        this.pendingReveals = [];
+        this.pendingResets = [];
     }
 }
@@ -0,0 +1,339 @@
+/**
+ * Cursor Effects
+ * Optional canvas layer of the custom cursor: a trail behind the pointer and a
+ * ripple where it clicks. Trails are pluggable renderers; everything drawn is a
+ * particle, and a shared budget caps how many live at once. Colours follow the
+ * theme. Nothing is drawn under reduced motion, while the tab is hidden or
+ * when the quality tier drops cursorEffects.
+ */
+
+import { bus } from '../core/bus.js';
+import { Disposables } from '../core/disposables.js';
+import { motion } from '../core/motion.js';
+import { quality } from '../core/quality.js';
+import { scheduler } from '../core/scheduler.js';
+import { animation } from '../../utils/index.js';
+
+// Sharper canvases cost more than they show
+const MAX_PIXEL_RATIO = 2;
+
+/**
+ * @typedef {Object} TrailRenderer
+ * @property {number} lifetime - How long its particles live (ms)
+ * @property {Function} emit - (point, previous) => particles for one pointer move;
+ *     points are { x, y }, previous is null on the first move
+ * @property {Function} draw - (ctx, particles, colors) draws the live particles,
+ *     oldest first; each has age from 0 (new) to 1 (gone)
+ */
+
+/** @type {Object<string, TrailRenderer>} */
+export const TRAIL_RENDERERS = {
+    // A line through recent pointer positions, thinning and fading at the tail
+    line: {
+        lifetime: 400,
+        emit: point => [{ x: point.x, y: point.y }],
+        draw(ctx, particles, colors) {
+            ctx.lineCap = 'round';
+            ctx.strokeStyle = colors.primary;
+            for (let i = 1; i < particles.length; i++) {
+                const from = particles[i - 1];
+                const to = particles[i];
+                ctx.globalAlpha = 1 - from.age;
+                ctx.lineWidth = 4 * (1 - from.age);
+                ctx.beginPath();
+                ctx.moveTo(from.x, from.y);
+                ctx.lineTo(to.x, to.y);
+                ctx.stroke();
+            }
+        }
+    },
+
+    // Sparks thrown off sideways to the movement
+    particles: {
+        lifetime: 700,
+        emit(point, previous) {
+            const dx = previous ? point.x - previous.x : 0;
+            const dy = previous ? point.y - previous.y : 0;
+            return [1, -1].map(side => ({
+                x: point.x,
+                y: point.y,
+                vx: -dy * 0.3 * side + (Math.random() - 0.5) * 20,
+                vy: dx * 0.3 * side + (Math.random() - 0.5) * 20 + 10,
+                size: 1 + Math.random() * 2,
+                isAccent: side > 0
+            }));
+        },
+        draw(ctx, particles, colors) {
+            particles.forEach(particle => {
+                ctx.globalAlpha = 1 - particle.age;
+                ctx.fillStyle = particle.isAccent ? colors.secondary : colors.primary;
+                ctx.beginPath();
+                ctx.arc(
+                    particle.x + particle.vx * particle.age,
+                    particle.y + particle.vy * particle.age,
+                    particle.size * (1 - particle.age * 0.5),
+                    0,
+                    Math.PI * 2
+                );
+                ctx.fill();
+            });
+        }
+    },
+
+    // Soft blots that spread and dry, larger when the pointer moves fast
+    ink: {
+        lifetime: 900,
+        emit(point, previous) {
+            const speed = previous ? Math.hypot(point.x - previous.x, point.y - previous.y) : 0;
+            return [{ x: point.x, y: point.y, size: Math.min(4 + speed * 0.4, 18) }];
+        },
+        draw(ctx, particles, colors) {
+            ctx.fillStyle = colors.ink;
+            particles.forEach(particle => {
+                ctx.globalAlpha = (1 - particle.age) * 0.25;
+                ctx.beginPath();
+                ctx.arc(particle.x, particle.y, particle.size * (1 + particle.age), 0, Math.PI * 2);
+                ctx.fill();
+            });
+        }
+    }
+};
+
+// Click ripple, drawn like a trail: a ring that widens and fades
+const RIPPLE = {
+    draw(ctx, particles, colors) {
+        ctx.strokeStyle = colors.secondary;
+        ctx.lineWidth = 2;
+        particles.forEach(particle => {
+            const spread = animation.easing.easeOutCubic(particle.age);
+            ctx.globalAlpha = 1 - particle.age;
+            ctx.beginPath();
+            ctx.arc(particle.x, particle.y, particle.radius * spread, 0, Math.PI * 2);
+            ctx.stroke();
+        });
+    }
+};
+
+export class CursorEffects {
+    /**
+     * @param {import('../core/config.js').CursorEffectsConfig} options
+     */
+    constructor(options) {
+        this.options = options;
+        this.renderers = new Map(Object.entries(TRAIL_RENDERERS));
+        this.trail = options.trail;
+        this.canvas = null;
+        this.ctx = null;
+        this.particles = [];
+        this.previous = null;
+        this.colors = {};
+        this.ratio = 1;
+        this.frameId = null;
+        this.isPaused = false;
+        this.disposables = new Disposables();
+
+        this.init();
+    }
+
+    init() {
+        this.readColors();
+
+        this.disposables.add(bus.on('theme:change', () => this.readColors()));
+        this.disposables.add(bus.on('visibility:hidden', () => this.pause()));
+        this.disposables.add(bus.on('visibility:visible', () => {
+            this.isPaused = false;
+        }));
+
+        const settle = () => {
+            if (!this.isEnabled()) {
+                this.clear();
+            }
+        };
+        this.disposables.add(bus.on('motion:change', settle));
+        this.disposables.add(bus.on('quality:change', settle));
+    }
+
+    isEnabled() {
+        return !this.isPaused && !motion.isReduced() && quality.allows('cursorEffects');
+    }
+
+    // Colours come from the theme's custom properties, so they follow theme:change
+    readColors() {
+        const styles = getComputedStyle(document.documentElement);
+        const read = (name, fallback) => styles.getPropertyValue(name).trim() || fallback;
+
+        this.colors = {
+            primary: read('--color-accent-blue', '#00D4FF'),
+            secondary: read('--color-accent-green', '#00FF88'),
+            ink: read('--color-white', '#FFFFFF')
+        };
+    }
+
+    /**
+     * Add a trail renderer, or replace a built-in one
+     * @param {string} name
+     * @param {TrailRenderer} renderer
+     * @returns {Function} Removes the renderer again
+     */
+    registerTrail(name, renderer) {
+        this.renderers.set(name, renderer);
+
+        return () => {
+            if (this.renderers.get(name) === renderer) {
+                this.renderers.delete(name);
+                this.particles = this.particles.filter(particle => particle.renderer !== renderer);
+            }
+        };
+    }
+
+    /**
+     * Switch the trail, or turn it off with null
+     * @param {string|null} name
+     */
+    setTrail(name) {
+        if (name !== null && !this.renderers.has(name)) {
+            console.warn(`Unknown cursor trail "${name}"`);
+            return;
+        }
+
+        this.trail = name;
+        this.previous = null;
+        this.particles = this.particles.filter(particle => particle.renderer === RIPPLE);
+    }
+
+    getTrail() {
+        return this.trail;
+    }
+
+    // Pointer moved; adds this move's trail particles
+    move(x, y) {
+        const renderer = this.trail && this.renderers.get(this.trail);
+        if (!renderer || !this.isEnabled()) {
+            this.previous = null;
+            return;
+        }
+
+        const point = { x, y };
+        renderer.emit(point, this.previous).forEach(particle => this.spawn(renderer, particle));
+        this.previous = point;
+    }
+
+    ripple(x, y) {
+        const { ripple, rippleRadius, rippleDuration } = this.options;
+        if (ripple && this.isEnabled()) {
+            this.spawn(RIPPLE, { x, y, radius: rippleRadius }, rippleDuration);
+        }
+    }
+
+    // Over budget, the oldest particles make room
+    spawn(renderer, particle, lifetime = renderer.lifetime) {
+        this.particles.push({ ...particle, renderer, born: performance.now(), lifetime, age: 0 });
+        if (this.particles.length > this.options.maxParticles) {
+            this.particles.splice(0, this.particles.length - this.options.maxParticles);
+        }
+
+        this.ensureCanvas();
+        this.start();
+    }
+
+    ensureCanvas() {
+        if (this.canvas) {
+            return;
+        }
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.className = 'cursor-effects';
+        this.canvas.setAttribute('aria-hidden', 'true');
+        this.ctx = this.canvas.getContext('2d');
+        document.body.appendChild(this.canvas);
+
+        const { viewportWidth, viewportHeight } = scheduler.readViewport();
+        this.resize(viewportWidth, viewportHeight);
+        this.disposables.add(scheduler.subscribe({
+            mutate: state => {
+                if (state.resized) {
+                    this.resize(state.viewportWidth, state.viewportHeight);
+                }
+            }
+        }));
+        this.disposables.add(() => this.canvas.remove());
+    }
+
+    resize(width, height) {
+        const ratio = Math.min(window.devicePixelRatio || 1, MAX_PIXEL_RATIO);
+
+        this.canvas.width = Math.round(width * ratio);
+        this.canvas.height = Math.round(height * ratio);
+        this.ratio = ratio;
+    }
+
+    start() {
+        if (this.frameId === null) {
+            this.frameId = this.disposables.requestFrame(time => this.render(time));
+        }
+    }
+
+    // One frame: age everything, drop what has faded and draw the rest
+    render(time) {
+        this.frameId = null;
+
+        const now = Math.max(time, performance.now());
+        this.particles = this.particles.filter(particle => {
+            particle.age = Math.max(now - particle.born, 0) / particle.lifetime;
+            return particle.age < 1;
+        });
+
+        const { ctx } = this;
+        if (!ctx) {
+            return;
+        }
+
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        ctx.setTransform(this.ratio, 0, 0, this.ratio, 0, 0);
+
+        const groups = new Map();
+        this.particles.forEach(particle => {
+            if (!groups.has(particle.renderer)) {
+                groups.set(particle.renderer, []);
+            }
+            groups.get(particle.renderer).push(particle);
+        });
+        groups.forEach((particles, renderer) => {
+            ctx.save();
+            renderer.draw(ctx, particles, this.colors);
+            ctx.restore();
+        });
+
+        if (this.particles.length) {
+            this.start();
+        }
+    }
+
+    // Tab hidden: stop drawing and forget the trail, it would be stale on return
+    pause() {
+        this.isPaused = true;
+        this.clear();
+    }
+
+    clear() {
+        if (this.frameId !== null) {
+            this.disposables.cancelFrame(this.frameId);
+            this.frameId = null;
+        }
+
+        this.particles = [];
+        this.previous = null;
+        if (this.ctx) {
+            this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+            this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        }
+    }
+
+    destroy() {
+        this.clear();
+        this.disposables.dispose();
+        this.canvas = null;
+        this.ctx = null;
+    }
+}
@@ -1,17 +1,86 @@
 /**
  * Custom Cursor Manager
  * Handles the interactive custom cursor with smooth animations and hover effects
+ * Hovered elements pick a cursor state with data-cursor="view" and can label it
+ * with data-cursor-label; states set size, colour, blend mode, icon and label,
+ * and the stylesheet animates between them. Magnetic elements pull the cursor
+ * towards their centre and lean towards the pointer. Trails and click ripples
+ * are drawn by the optional effects layer in cursor-effects.js.
  */
 
+import { bus } from '../core/bus.js';
+import { CursorEffects } from './cursor-effects.js';
+import { Disposables } from '../core/disposables.js';
+import { motion } from '../core/motion.js';
+import { quality } from '../core/quality.js';
+import { scheduler } from '../core/scheduler.js';
+import { withDefaults } from '../core/config.js';
+import { animation } from '../../utils/index.js';
+
+// Built-in states; sizes are px and anything left out falls back to the stylesheet
+const DEFAULT_STATES = {
+    default: {},
+    link: { size: 40, color: 'var(--color-accent-green)' },
+    view: { size: 90, color: 'var(--color-white)', blend: 'normal', label: 'View' },
+    drag: {
+        size: 70,
+        color: 'var(--color-accent-blue)',
+        blend: 'normal',
+        icon: '↔',
+        label: 'Drag'
+    },
+    text: { width: 3, height: 28, radius: '2px', color: 'var(--color-white)' },
+    hidden: { hidden: true }
+};
+
+// State fields written as custom properties on the cursor
+const STATE_VARIABLES = [
+    ['width', '--cursor-width', 'px'],
+    ['height', '--cursor-height', 'px'],
+    ['radius', '--cursor-radius', ''],
+    ['color', '--cursor-color', ''],
+    ['blend', '--cursor-blend', '']
+];
+
+// Closer than this to the target counts as settled (px)
+const MAGNET_REST = 0.05;
+
+// Number from a data attribute, or the fallback when missing or not a number
+function readNumber(value, fallback) {
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? number : fallback;
+}
+
 export class CursorManager {
-    constructor() {
+    /**
+     * @param {import('../core/config.js').CursorConfig} [options]
+     */
+    constructor(options = {}) {
+        this.options = withDefaults('cursor', options);
         this.cursor = null;
+        this.shape = null;
+        this.icon = null;
+        this.label = null;
+        this.states = new Map(Object.entries({ ...DEFAULT_STATES, ...this.options.states }));
+        this.state = null;
+        this.hoverSelectors = new Set();
+        this.hoverTarget = null;
+        this.hovered = null;
+        this.mutationObserver = null;
+        this.magnets = new Map();
+        this.magnetElements = null;
+        this.attraction = null;
+        this.nextAttraction = undefined;
+        this.needsMagnetCheck = false;
+        this.effects = null;
         this.isActive = false;
         this.mouseX = 0;
         this.mouseY = 0;
         this.cursorX = 0;
         this.cursorY = 0;
         this.isTouchDevice = false;
+        this.frameId = null;
+        this.disposables = new Disposables();
         
         this.init();
     }
@@ -25,15 +94,56 @@ export class CursorManager {
             return;
         }
         
+        this.createShape();
+        this.effects = new CursorEffects(this.options.effects);
         this.setupEventListeners();
         this.startAnimationLoop();
+        
+        this.disposables.add(bus.on('theme:change', ({ theme }) => this.applyTheme(theme)));
+        this.disposables.add(bus.on('visibility:hidden', () => this.hideCursor()));
+        
+        const settle = () => {
+            if (!this.isMagneticEnabled()) {
+                this.releaseMagnets();
+            }
+        };
+        this.disposables.add(bus.on('motion:change', settle));
+        this.disposables.add(bus.on('quality:change', settle));
+    }
+
+    // Shape that states resize and recolour, with room for an icon and a label
+    createShape() {
+        if (!this.cursor) {
+            return;
+        }
+        
+        this.shape = document.createElement('span');
+        this.shape.className = 'cursor-shape';
+        this.icon = document.createElement('span');
+        this.icon.className = 'cursor-icon';
+        this.label = document.createElement('span');
+        this.label.className = 'cursor-label';
+        
+        this.shape.append(this.icon, this.label);
+        this.cursor.appendChild(this.shape);
+        this.disposables.add(() => this.shape.remove());
+        
+        this.setState('default');
+    }
+
+    applyTheme(theme) {
+        if (this.cursor) {
+            this.cursor.classList.toggle('light', theme === 'light');
+        }
     }
 
     setupEventListeners() {
         // Mouse movement
-        document.addEventListener('mousemove', (e) => {
+        this.disposables.listen(document, 'mousemove', (e) => {
             this.mouseX = e.clientX;
             this.mouseY = e.clientY;
+            this.checkMagnets();
+            this.effects.move(e.clientX, e.clientY);
             
             if (!this.isActive) {
                 this.showCursor();
@@ -41,43 +151,231 @@ export class CursorManager {
         });
 
         // Mouse enter/leave document
-        document.addEventListener('mouseenter', () => {
+        this.disposables.listen(document, 'mouseenter', () => {
             this.showCursor();
         });
 
-        document.addEventListener('mouseleave', () => {
+        this.disposables.listen(document, 'mouseleave', () => {
             this.hideCursor();
+            this.track(null);
+            this.checkMagnets();
         });
 
+        this.disposables.listen(document, 'pointerdown', (e) => {
+            if (e.pointerType !== 'touch') {
+                this.effects.ripple(e.clientX, e.clientY);
+            }
+        });
+
+        // Magnets are found in the measure phase and moved in the mutate phase;
+        // scroll frames re-check them, as they move under a still pointer
+        this.disposables.add(scheduler.subscribe({
+            measure: state => this.measureMagnets(state),
+            mutate: () => this.stepMagnets()
+        }));
+
         // Hover effects for interactive elements
         this.setupHoverEffects();
     }
 
+    // Delegated from the document, so elements rendered later get the hover cursor too
     setupHoverEffects() {
-        const hoverElements = document.querySelectorAll('a, button, .project-card, .skill-card, .form-input, .form-textarea');
+        this.addHoverSelector('[data-cursor]');
+        this.addHoverSelector(this.options.hoverSelector);
         
-        hoverElements.forEach(element => {
-            element.addEventListener('mouseenter', () => {
-                this.addHoverEffect();
-            });
+        this.disposables.listen(document, 'mouseover', (e) => this.track(e.target));
+        this.disposables.listen(document, 'mouseout', (e) => {
+            if (!e.relatedTarget) {
+                this.track(null);
+            }
+        });
+        
+        // No mouseout fires when the hovered element leaves the DOM, and magnets can
+        // come and go at any time
+        this.mutationObserver = this.disposables.observe(
+            new MutationObserver(mutations => this.handleMutations(mutations))
+        );
+        this.mutationObserver.observe(document.body, {
+            childList: true,
+            subtree: true,
+            attributes: true,
+            attributeFilter: ['data-cursor', 'data-cursor-label', 'data-magnetic']
+        });
+    }
+
+    handleMutations(mutations) {
+        const isElement = node => node.nodeType === Node.ELEMENT_NODE;
+        const changesMagnets = mutations.some(mutation => mutation.type === 'attributes'
+            ? mutation.attributeName === 'data-magnetic'
+            : Array.from(mutation.addedNodes).some(isElement) ||
+                Array.from(mutation.removedNodes).some(isElement));
+        
+        if (changesMagnets) {
+            this.magnetElements = null;
+            this.checkMagnets();
+        }
+        if (this.hoverTarget) {
+            this.refreshHover();
+        }
+    }
+
+    /**
+     * Give matching elements the hover cursor, including ones added later
+     * @param {string} selector
+     * @returns {Function} Removes the selector again
+     */
+    addHoverSelector(selector) {
+        if (this.hoverSelectors.has(selector)) {
+            return () => {};
+        }
+        
+        try {
+            document.querySelector(selector);
+        } catch (error) {
+            console.warn(`Invalid cursor hover selector "${selector}"`);
+            return () => {};
+        }
+        
+        this.hoverSelectors.add(selector);
+        this.refreshHover();
+        return () => this.removeHoverSelector(selector);
+    }
+
+    removeHoverSelector(selector) {
+        if (this.hoverSelectors.delete(selector)) {
+            this.refreshHover();
+        }
+    }
+
+    // The innermost match under the pointer decides the state, so a link inside a card wins
+    track(target) {
+        this.hoverTarget = target instanceof Element ? target : null;
+        
+        const selector = Array.from(this.hoverSelectors).join(', ');
+        const hovered = this.hoverTarget && selector ? this.hoverTarget.closest(selector) : null;
+        
+        this.hovered = hovered;
+        this.updateState();
+    }
+
+    // Look again, e.g. after the hovered element was removed or its data-cursor changed
+    refreshHover() {
+        let target = this.hoverTarget;
+        if (target && !target.isConnected) {
+            target = document.elementFromPoint ?
+                document.elementFromPoint(this.mouseX, this.mouseY) :
+                null;
+        }
+        this.track(target);
+    }
+
+    updateState() {
+        const element = this.hovered;
+        if (!element) {
+            this.setState('default');
+            return;
+        }
+        
+        this.setState(element.dataset.cursor || 'link', element.dataset.cursorLabel);
+    }
+
+    /**
+     * Add or replace a cursor state, e.g. for a section's own data-cursor value
+     * @param {string} name - Value used in data-cursor
+     * @param {import('../core/config.js').CursorState} state
+     * @returns {Function} Removes the state again
+     */
+    registerCursorState(name, state) {
+        this.states.set(name, state);
+        this.reapplyState(name);
+        
+        return () => {
+            if (this.states.get(name) === state) {
+                this.states.delete(name);
+                this.reapplyState(name);
+            }
+        };
+    }
+
+    // Pick up a changed definition if that state is showing
+    reapplyState(name) {
+        if (this.state && this.state.name === name) {
+            this.state = null;
+            this.updateState();
+        }
+    }
+
+    /**
+     * Switch to a registered state
+     * @param {string} name
+     * @param {string} [label] - Replaces the state's own label
+     */
+    setState(name, label) {
+        if (!this.shape) {
+            return;
+        }
+        
+        let state = this.states.get(name);
+        if (!state) {
+            console.warn(`Unknown cursor state "${name}"`);
+            name = 'default';
+            state = this.states.get(name) || {};
+        }
+        
+        const text = label || state.label || '';
+        if (this.state && this.state.name === name && this.state.text === text) {
+            return;
+        }
+        this.state = { name, text };
+        
+        STATE_VARIABLES.forEach(([field, variable, unit]) => {
+            const value = field === 'width' || field === 'height'
+                ? (state[field] !== undefined ? state[field] : state.size)
+                : state[field];
             
-            element.addEventListener('mouseleave', () => {
-                this.removeHoverEffect();
-            });
+            if (value === undefined) {
+                this.cursor.style.removeProperty(variable);
+            } else {
+                this.cursor.style.setProperty(variable, `${value}${unit}`);
+            }
         });
+        
+        this.icon.textContent = state.icon || '';
+        this.label.textContent = text;
+        this.cursor.dataset.state = name;
+        this.cursor.classList.toggle('has-label', Boolean(text || state.icon));
+        this.cursor.classList.toggle('is-hidden', Boolean(state.hidden));
+        this.cursor.classList.toggle('hover', name !== 'default');
+    }
+
+    getState() {
+        return this.state ? this.state.name : null;
     }
 
     startAnimationLoop() {
         const animate = () => {
             if (this.isActive) {
-                // Smooth cursor following with lerp
-                this.cursorX = this.lerp(this.cursorX, this.mouseX, 0.15);
-                this.cursorY = this.lerp(this.cursorY, this.mouseY, 0.15);
+                // Smooth cursor following with lerp; it sticks to the pointer with reduced
+                // motion or when the quality tier can't spare the trailing
+                const isSmooth = !motion.isReduced() && quality.allows('cursorLerp');
+                const factor = isSmooth ? this.options.lerp : 1;
+                const attraction = this.attraction;
+                let targetX = this.mouseX;
+                let targetY = this.mouseY;
+                
+                if (attraction) {
+                    const pull = attraction.strength * attraction.power;
+                    targetX += (attraction.centerX - this.mouseX) * pull;
+                    targetY += (attraction.centerY - this.mouseY) * pull;
+                }
+                
+                this.cursorX = this.lerp(this.cursorX, targetX, factor);
+                this.cursorY = this.lerp(this.cursorY, targetY, factor);
                 
                 this.updateCursorPosition();
             }
             
-            requestAnimationFrame(animate);
+            this.frameId = this.disposables.requestFrame(animate);
         };
         
         animate();
@@ -85,10 +383,160 @@ export class CursorManager {
 
     updateCursorPosition() {
         if (this.cursor) {
-            this.cursor.style.transform = `translate(${this.cursorX - 10}px, ${this.cursorY - 10}px)`;
+            this.cursor.style.transform = `translate(${this.cursorX}px, ${this.cursorY}px)`;
+        }
+    }
+
+    isMagneticEnabled() {
+        return !motion.isReduced() && quality.allows('magnetic');
+    }
+
+    // Look for a magnet on the next frame, e.g. after the pointer moved
+    checkMagnets() {
+        this.needsMagnetCheck = true;
+        scheduler.schedule('cursor');
+    }
+
+    // Matching elements, kept until the DOM changes
+    getMagnetElements() {
+        if (!this.magnetElements) {
+            const elements = document.querySelectorAll(this.options.magnetic.selector);
+            this.magnetElements = Array.from(elements)
+                .filter(element => element.dataset.magnetic !== 'false');
+        }
+        return this.magnetElements;
+    }
+
+    // Measure phase: layout reads only; the result is applied in stepMagnets()
+    measureMagnets(state) {
+        if (!this.needsMagnetCheck && !state.scrolled) {
+            return;
+        }
+        
+        this.needsMagnetCheck = false;
+        this.nextAttraction = this.isActive && this.isMagneticEnabled() ? this.findMagnet() : null;
+    }
+
+    /**
+     * Strongest magnet around the pointer: full power inside the element, fading
+     * out towards the edge of its radius
+     */
+    findMagnet() {
+        const { radius, strength, shift } = this.options.magnetic;
+        let best = null;
+        
+        this.getMagnetElements().forEach(element => {
+            const rect = element.getBoundingClientRect();
+            if (!rect.width && !rect.height) {
+                return;
+            }
+            
+            // Where the element sits without the shift it already has
+            const magnet = this.magnets.get(element);
+            const left = rect.left - (magnet ? magnet.x.value : 0);
+            const top = rect.top - (magnet ? magnet.y.value : 0);
+            const gapX = Math.max(left - this.mouseX, 0, this.mouseX - left - rect.width);
+            const gapY = Math.max(top - this.mouseY, 0, this.mouseY - top - rect.height);
+            const reach = readNumber(element.dataset.magneticRadius, radius);
+            const power = reach > 0 ? 1 - Math.hypot(gapX, gapY) / reach : 0;
+            
+            if (power > 0 && (!best || power > best.power)) {
+                best = {
+                    element,
+                    power,
+                    centerX: left + rect.width / 2,
+                    centerY: top + rect.height / 2,
+                    strength: readNumber(element.dataset.magneticStrength, strength),
+                    shift: readNumber(element.dataset.magneticShift, shift)
+                };
+            }
+        });
+        
+        return best;
+    }
+
+    // Point the attracting element at the pointer and let every other one go
+    attract(attraction) {
+        this.attraction = attraction;
+        
+        if (attraction && !this.magnets.has(attraction.element)) {
+            attraction.element.classList.add('has-magnet');
+            this.magnets.set(attraction.element, {
+                x: { value: 0, velocity: 0, target: 0 },
+                y: { value: 0, velocity: 0, target: 0 },
+                isAttracted: false
+            });
+        }
+        
+        this.magnets.forEach((magnet, element) => {
+            const isAttracted = Boolean(attraction) && attraction.element === element;
+            const amount = isAttracted ? attraction.shift * attraction.power : 0;
+            
+            magnet.isAttracted = isAttracted;
+            magnet.x.target = isAttracted ? (this.mouseX - attraction.centerX) * amount : 0;
+            magnet.y.target = isAttracted ? (this.mouseY - attraction.centerY) * amount : 0;
+        });
+    }
+
+    // Mutate phase: follow the pointer while attracted, spring back to rest afterwards
+    stepMagnets() {
+        const { lerp, stiffness, damping } = this.options.magnetic;
+        let isAnimating = false;
+        
+        if (this.nextAttraction !== undefined) {
+            this.attract(this.nextAttraction);
+            this.nextAttraction = undefined;
+        }
+        
+        this.magnets.forEach((magnet, element) => {
+            let isMoving = false;
+            
+            [magnet.x, magnet.y].forEach(axis => {
+                const { value, velocity, target } = axis;
+                if (magnet.isAttracted) {
+                    axis.value = animation.lerp(value, target, lerp);
+                    axis.velocity = axis.value - value;
+                } else {
+                    const next = animation.spring(value, velocity, target, stiffness, damping);
+                    Object.assign(axis, next);
+                }
+                
+                if (Math.abs(axis.target - axis.value) > MAGNET_REST ||
+                    Math.abs(axis.velocity) > MAGNET_REST) {
+                    isMoving = true;
+                } else {
+                    axis.value = axis.target;
+                    axis.velocity = 0;
+                }
+            });
+            
+            if (!isMoving && !magnet.isAttracted) {
+                this.clearMagnet(element);
+            } else {
+                const { x, y } = magnet;
+                element.style.translate = `${x.value.toFixed(2)}px ${y.value.toFixed(2)}px`;
+                isAnimating = isAnimating || isMoving;
+            }
+        });
+        
+        if (isAnimating) {
+            scheduler.schedule('cursor');
         }
     }
 
+    clearMagnet(element) {
+        element.style.removeProperty('translate');
+        element.classList.remove('has-magnet');
+        this.magnets.delete(element);
+    }
+
+    // Drop every magnet straight back, without the spring
+    releaseMagnets() {
+        this.attraction = null;
+        this.nextAttraction = undefined;
+        Array.from(this.magnets.keys()).forEach(element => this.clearMagnet(element));
+    }
+
     showCursor() {
         if (this.cursor) {
             this.cursor.classList.add('active');
@@ -104,15 +552,13 @@ export class CursorManager {
     }
 
     addHoverEffect() {
-        if (this.cursor) {
-            this.cursor.classList.add('hover');
-        }
+        this.setState('link');
     }
 
     removeHoverEffect() {
-        if (this.cursor) {
-            this.cursor.classList.remove('hover');
-        }
+        this.hoverTarget = null;
+        this.hovered = null;
+        this.setState('default');
     }
 
     disableCursor() {
@@ -134,29 +580,55 @@ export class CursorManager {
 
     // Public methods for external control
     setCursorStyle(style) {
-        if (this.cursor) {
-            Object.assign(this.cursor.style, style);
+        if (this.shape) {
+            Object.assign(this.shape.style, style);
         }
     }
 
+    /**
+     * Add a trail renderer for setTrail(), see TrailRenderer in cursor-effects.js
+     * @returns {Function} Removes the renderer again
+     */
+    registerTrailRenderer(name, renderer) {
+        return this.effects ? this.effects.registerTrail(name, renderer) : () => {};
+    }
+
+    // 'line', 'particles', 'ink', a registered renderer or null for no trail
+    setTrail(name) {
+        if (this.effects) {
+            this.effects.setTrail(name);
+        }
+    }
+
+    // Kept for integrations written before addHoverSelector
     addCustomHoverElement(selector) {
-        const elements = document.querySelectorAll(selector);
-        elements.forEach(element => {
-            element.addEventListener('mouseenter', () => this.addHoverEffect());
-            element.addEventListener('mouseleave', () => this.removeHoverEffect());
-        });
+        return this.addHoverSelector(selector);
     }
 
     destroy() {
-        // Remove event listeners
-        document.removeEventListener('mousemove', this.handleMouseMove);
-        document.removeEventListener('mouseenter', this.handleMouseEnter);
-        document.removeEventListener('mouseleave', this.handleMouseLeave);
+        // Back to the default state before the shape goes
+        this.removeHoverEffect();
+        this.releaseMagnets();
+        if (this.effects) {
+            this.effects.destroy();
+            this.effects = null;
+        }
+        
+        // Remove listeners, subscriptions and stop the animation loop
+        this.disposables.dispose();
+        this.frameId = null;
         
         // Hide cursor
         this.hideCursor();
         
         // Reset state
+        this.shape = null;
+        this.icon = null;
+        this.label = null;
+        this.state = null;
+        this.hoverSelectors.clear();
+        this.mutationObserver = null;
+        this.magnetElements = null;
         this.isActive = false;
         this.mouseX = 0;
         this.mouseY = 0;
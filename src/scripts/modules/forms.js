@@ -3,12 +3,24 @@
  * Handles contact form submission, validation, and user feedback
  */
 
+import { bus } from '../core/bus.js';
+import { Disposables } from '../core/disposables.js';
+import { session } from '../core/session.js';
+import { withDefaults } from '../core/config.js';
+
 export class FormManager {
-    constructor() {
+    /**
+     * @param {import('../core/config.js').FormsConfig} [options]
+     */
+    constructor(options = {}) {
+        this.options = withDefaults('forms', options);
         this.contactForm = null;
         this.submitButton = null;
         this.formInputs = [];
         this.isSubmitting = false;
+        this.draftTimer = null;
+        this.isDestroyed = false;
+        this.disposables = new Disposables();
         
         this.init();
     }
@@ -21,11 +33,62 @@ export class FormManager {
         if (this.contactForm) {
             this.setupFormHandling();
             this.setupInputAnimations();
+            
+            if (this.options.saveDraft) {
+                this.setupDraft();
+            }
+        }
+    }
+
+    // Unsent input survives reloads and trips to other pages
+    setupDraft() {
+        this.restoreDraft();
+        
+        this.disposables.listen(this.contactForm, 'input', () => {
+            this.disposables.clearTimeout(this.draftTimer);
+            this.draftTimer = this.disposables.setTimeout(() => {
+                this.saveDraft();
+            }, this.options.draftDelay);
+        });
+        
+        // Don't lose the last keystrokes before the delay has passed
+        this.disposables.listen(window, 'pagehide', () => {
+            if (this.draftTimer !== null) {
+                this.saveDraft();
+            }
+        });
+    }
+
+    restoreDraft() {
+        const fields = session.getDraft(this.contactForm.id);
+        if (!fields) {
+            return;
+        }
+        
+        Object.entries(fields).forEach(([name, value]) => {
+            const field = this.contactForm.elements.namedItem(name);
+            if (field && 'value' in field && !field.value) {
+                field.value = value;
+            }
+        });
+    }
+
+    saveDraft() {
+        this.disposables.clearTimeout(this.draftTimer);
+        this.draftTimer = null;
+        
+        const data = this.getFormData();
+        const hasInput = Object.values(data).some(value => String(value).trim());
+        
+        if (hasInput) {
+            session.saveDraft(this.contactForm.id, data);
+        } else {
+            session.clearDraft(this.contactForm.id);
         }
     }
 
     setupFormHandling() {
-        this.contactForm.addEventListener('submit', (e) => {
+        this.disposables.listen(this.contactForm, 'submit', (e) => {
             e.preventDefault();
             this.handleFormSubmission();
         });
@@ -33,16 +96,16 @@ export class FormManager {
 
     setupInputAnimations() {
         this.formInputs.forEach(input => {
-            input.addEventListener('focus', () => {
+            this.disposables.listen(input, 'focus', () => {
                 this.animateInput(input, 'focus');
             });
             
-            input.addEventListener('blur', () => {
+            this.disposables.listen(input, 'blur', () => {
                 this.animateInput(input, 'blur');
                 this.validateInput(input);
             });
             
-            input.addEventListener('input', () => {
+            this.disposables.listen(input, 'input', () => {
                 this.clearInputError(input);
             });
         });
@@ -145,9 +208,19 @@ export class FormManager {
         this.updateSubmitButton('Sending...', true);
         
         try {
+            const data = this.getFormData();
+            
             // Simulate form submission (replace with actual API call)
             await this.submitForm();
             
+            // Torn down while sending; the form it would update is gone
+            if (this.isDestroyed) {
+                return;
+            }
+            
+            bus.emit('form:submitted', { data });
+            session.clearDraft(this.contactForm.id);
+            
             // Show success message
             this.showSuccessMessage();
             
@@ -155,18 +228,24 @@ export class FormManager {
             this.resetForm();
             
         } catch (error) {
+            if (this.isDestroyed) {
+                return;
+            }
             console.error('Form submission error:', error);
+            bus.emit('form:error', { error });
             this.showErrorMessage('Failed to send message. Please try again.');
         } finally {
-            this.isSubmitting = false;
-            this.updateSubmitButton('Send Message', false);
+            if (!this.isDestroyed) {
+                this.isSubmitting = false;
+                this.updateSubmitButton('Send Message', false);
+            }
         }
     }
 
     async submitForm() {
         // Simulate API call delay
         return new Promise((resolve) => {
-            setTimeout(resolve, 1500);
+            this.disposables.setTimeout(resolve, this.options.submitDelay);
         });
         
         // Actual implementation would look like:
@@ -185,6 +264,14 @@ export class FormManager {
         */
     }
 
+    getFormData() {
+        const data = {};
+        new FormData(this.contactForm).forEach((value, key) => {
+            data[key] = value;
+        });
+        return data;
+    }
+
     updateSubmitButton(text, disabled) {
         if (this.submitButton) {
             const buttonText = this.submitButton.querySelector('.button-text');
@@ -207,9 +294,9 @@ export class FormManager {
         this.submitButton.style.background = 'linear-gradient(90deg, #00FF88, #00D4FF)';
         
         // Reset button after delay
-        setTimeout(() => {
+        this.disposables.setTimeout(() => {
             this.updateSubmitButton('Send Message', false);
-        }, 2000);
+        }, this.options.successResetDelay);
     }
 
     showErrorMessage(message) {
@@ -231,10 +318,10 @@ export class FormManager {
         
         document.body.appendChild(notification);
         
-        // Remove notification after delay
-        setTimeout(() => {
-            notification.remove();
-        }, 5000);
+        // Remove notification after delay, or on teardown
+        const removeNotification = () => notification.remove();
+        this.disposables.add(removeNotification);
+        this.disposables.setTimeout(removeNotification, this.options.notificationDuration);
     }
 
     resetForm() {
@@ -258,7 +345,7 @@ export class FormManager {
     addCustomValidation(fieldSelector, validator) {
         const field = document.querySelector(fieldSelector);
         if (field) {
-            field.addEventListener('blur', () => {
+            this.disposables.listen(field, 'blur', () => {
                 if (!validator(field.value)) {
                     this.showInputError(field, 'Invalid input');
                 }
@@ -277,7 +364,7 @@ export class FormManager {
             onSelect = null
         } = options;
         
-        fileInput.addEventListener('change', (e) => {
+        this.disposables.listen(fileInput, 'change', (e) => {
             const file = e.target.files[0];
             if (file) {
                 // Validate file size
@@ -308,14 +395,14 @@ export class FormManager {
     }
 
     destroy() {
-        if (this.contactForm) {
-            this.contactForm.removeEventListener('submit', this.handleFormSubmission);
-        }
+        // Remove listeners, notifications and pending timers
+        this.isDestroyed = true;
+        this.disposables.dispose();
         
+        // Clear error messages and inline input styles
         this.formInputs.forEach(input => {
-            input.removeEventListener('focus', this.handleInputFocus);
-            input.removeEventListener('blur', this.handleInputBlur);
-            input.removeEventListener('input', this.handleInputChange);
+            this.clearInputError(input);
+            input.style.transform = '';
         });
         
         // Reset state
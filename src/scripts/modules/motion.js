@@ -0,0 +1,87 @@
+/**
+ * Motion Toggle
+ * Menu button, shortcut and palette commands for choosing how much the
+ * site moves. The level itself lives in the shared motion policy.
+ */
+
+import { bus } from '../core/bus.js';
+import { Disposables } from '../core/disposables.js';
+import { motion, MOTION_LEVELS } from '../core/motion.js';
+import { shortcuts } from '../core/shortcuts.js';
+import { string } from '../../utils/index.js';
+
+export class MotionToggle {
+    constructor() {
+        this.button = null;
+        this.disposables = new Disposables();
+
+        this.init();
+    }
+
+    init() {
+        this.disposables.add(shortcuts.register('motion.toggle', {
+            keys: 'm',
+            description: 'Toggle reduced motion',
+            group: 'Appearance',
+            handler: () => motion.toggle()
+        }));
+
+        this.createButton();
+        this.disposables.add(bus.on('motion:change', () => this.updateButton()));
+    }
+
+    createButton() {
+        const nav = document.querySelector('.nav-menu') || document.querySelector('.nav');
+        if (!nav) {
+            return;
+        }
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'motion-toggle';
+        button.textContent = '≈';
+        button.title = `Reduce motion (${shortcuts.describe('motion.toggle')})`;
+
+        this.disposables.listen(button, 'click', () => motion.toggle());
+        nav.appendChild(button);
+        this.button = button;
+        this.disposables.add(() => button.remove());
+
+        this.updateButton();
+    }
+
+    updateButton() {
+        if (this.button) {
+            this.button.setAttribute('aria-pressed', String(motion.isReduced()));
+        }
+    }
+
+    // One command per level, plus going back to the system setting
+    getCommands() {
+        const override = motion.getOverride();
+        const commands = MOTION_LEVELS.map(level => ({
+            id: `motion:${level}`,
+            title: `${string.capitalize(level)} motion`,
+            group: 'Actions',
+            keywords: ['motion', 'animation', 'accessibility'],
+            hint: override === level ? 'On' : '',
+            run: () => motion.setOverride(level)
+        }));
+
+        commands.push({
+            id: 'motion:system',
+            title: 'Follow system motion setting',
+            group: 'Actions',
+            keywords: ['motion', 'animation', 'prefers-reduced-motion'],
+            hint: override === null ? 'On' : '',
+            run: () => motion.setOverride(null)
+        });
+
+        return commands;
+    }
+
+    destroy() {
+        this.disposables.dispose();
+        this.button = null;
+    }
+}
@@ -1,80 +1,362 @@
 /**
  * Navigation Manager
  * Handles smooth scrolling navigation and active section tracking
+ * Sections (section[id]) and their nav links (.nav-link[data-section]) are
+ * discovered from the DOM and re-read when the page changes.
  */
 
+import { bus } from '../core/bus.js';
+import { Disposables } from '../core/disposables.js';
+import { scrollEngine } from '../core/scroll.js';
+import { shortcuts } from '../core/shortcuts.js';
+import { withDefaults } from '../core/config.js';
+
 export class NavigationManager {
-    constructor() {
+    /**
+     * @param {import('../core/config.js').NavigationConfig} [options]
+     */
+    constructor(options = {}) {
+        this.options = withDefaults('navigation', options);
         this.navLinks = [];
         this.sections = [];
+        this.visibility = new Map();
         this.currentSection = 'home';
         this.isScrolling = false;
+        this.activeScroll = null;
+        this.refreshFrame = null;
+        this.observer = null;
+        this.nav = null;
+        this.menuToggle = null;
+        this.isCompact = false;
+        this.isMenuOpen = false;
+        this.leaveMenuScope = null;
+        this.disposables = new Disposables();
         
         this.init();
     }
 
     init() {
-        this.navLinks = document.querySelectorAll('.nav-link');
-        this.sections = ['home', 'about', 'skills', 'projects', 'contact'];
-        
+        this.setupObserver();
         this.setupNavigation();
-        this.updateActiveSection();
+        this.setupShortcuts();
+        this.setupMobileMenu();
+        this.watchForChanges();
+        this.refresh();
     }
 
     setupNavigation() {
-        this.navLinks.forEach(link => {
-            link.addEventListener('click', (e) => {
-                e.preventDefault();
-                const targetId = link.getAttribute('href').substring(1);
-                this.scrollToSection(targetId);
-            });
+        // Delegated so links added later work too
+        this.disposables.listen(document, 'click', (e) => {
+            const link = e.target.closest(this.options.linkSelector);
+            if (!link) {
+                return;
+            }
+            
+            e.preventDefault();
+            this.scrollToSection(link.dataset.section);
+            
+            if (this.isMenuOpen) {
+                this.closeMenu();
+            }
         });
     }
 
-    scrollToSection(sectionId) {
-        const targetSection = document.getElementById(sectionId);
+    setupShortcuts() {
+        this.disposables.add(shortcuts.register('navigation.next', {
+            keys: 'j',
+            description: 'Next section',
+            group: 'Navigation',
+            handler: () => this.scrollBySection(1)
+        }));
         
-        if (targetSection) {
-            this.isScrolling = true;
-            
-            // Update active navigation
-            this.setActiveNavLink(sectionId);
-            
-            // Smooth scroll to section
-            targetSection.scrollIntoView({
-                behavior: 'smooth',
-                block: 'start'
+        this.disposables.add(shortcuts.register('navigation.previous', {
+            keys: 'k',
+            description: 'Previous section',
+            group: 'Navigation',
+            handler: () => this.scrollBySection(-1)
+        }));
+    }
+
+    // Below the breakpoint the links collapse into a drawer behind a toggle button
+    setupMobileMenu() {
+        this.nav = document.querySelector(this.options.navSelector);
+        this.menuToggle = this.nav ? this.nav.querySelector(this.options.toggleSelector) : null;
+        if (!this.menuToggle) {
+            return;
+        }
+        
+        const mediaQuery = window.matchMedia(`(max-width: ${this.options.breakpoint}px)`);
+        this.setCompact(mediaQuery.matches);
+        this.disposables.listen(mediaQuery, 'change', e => this.setCompact(e.matches));
+        
+        this.disposables.listen(this.menuToggle, 'click', () => this.toggleMenu());
+        
+        // Keep Tab inside the open drawer
+        this.disposables.listen(this.nav, 'keydown', (e) => {
+            if (e.key === 'Tab' && this.isMenuOpen) {
+                this.trapFocus(e);
+            }
+        });
+        
+        this.disposables.listen(document, 'click', (e) => {
+            if (this.isMenuOpen && !this.nav.contains(e.target)) {
+                this.closeMenu({ returnFocus: false });
+            }
+        });
+        
+        this.disposables.add(shortcuts.register('navigation.closeMenu', {
+            keys: 'Escape',
+            description: 'Close the menu',
+            scopes: ['menu'],
+            allowInInputs: true,
+            hidden: true,
+            handler: () => this.closeMenu()
+        }));
+    }
+
+    setCompact(isCompact) {
+        this.isCompact = isCompact;
+        this.nav.classList.toggle('is-compact', isCompact);
+        this.menuToggle.hidden = !isCompact;
+        
+        if (!isCompact) {
+            this.closeMenu({ returnFocus: false });
+        }
+    }
+
+    getMenuFocusables() {
+        return Array.from(this.nav.querySelectorAll('a[href], button:not([disabled])'))
+            .filter(element => !element.hidden && element.getClientRects().length);
+    }
+
+    trapFocus(e) {
+        const focusables = this.getMenuFocusables();
+        const first = focusables[0];
+        const last = focusables[focusables.length - 1];
+        
+        if (e.shiftKey && document.activeElement === first) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+
+    openMenu() {
+        if (!this.isCompact || this.isMenuOpen) {
+            return;
+        }
+        
+        this.isMenuOpen = true;
+        this.nav.classList.add('is-open');
+        this.menuToggle.setAttribute('aria-expanded', 'true');
+        this.menuToggle.setAttribute('aria-label', 'Close menu');
+        this.leaveMenuScope = shortcuts.pushScope('menu');
+        
+        // The toggle comes first; start on the first item after it
+        const [, firstItem] = this.getMenuFocusables();
+        if (firstItem) {
+            firstItem.focus();
+        }
+    }
+
+    /**
+     * @param {Object} [options]
+     * @param {boolean} [options.returnFocus] - Move focus back to the toggle button
+     */
+    closeMenu({ returnFocus = true } = {}) {
+        if (!this.isMenuOpen) {
+            return;
+        }
+        
+        this.isMenuOpen = false;
+        this.nav.classList.remove('is-open');
+        this.menuToggle.setAttribute('aria-expanded', 'false');
+        this.menuToggle.setAttribute('aria-label', 'Open menu');
+        this.leaveMenuScope();
+        this.leaveMenuScope = null;
+        
+        if (returnFocus) {
+            this.menuToggle.focus();
+        }
+    }
+
+    toggleMenu() {
+        if (this.isMenuOpen) {
+            this.closeMenu();
+        } else {
+            this.openMenu();
+        }
+    }
+
+    setupObserver() {
+        const steps = this.options.thresholdSteps;
+        const threshold = Array.from({ length: steps + 1 }, (_, i) => i / steps);
+        
+        // The fixed nav covers the top of the viewport, so it doesn't count as visible
+        this.observer = this.disposables.observe(new IntersectionObserver(entries => {
+            entries.forEach(entry => {
+                this.visibility.set(entry.target.id, {
+                    ratio: entry.intersectionRatio,
+                    height: entry.isIntersecting ? entry.intersectionRect.height : 0
+                });
             });
             
-            // Update current section
-            this.currentSection = sectionId;
+            this.updateActiveSection();
+        }, {
+            rootMargin: `-${this.options.activeOffset}px 0px 0px 0px`,
+            threshold
+        }));
+    }
+
+    // Re-read sections and links when elements are added, removed or renamed
+    watchForChanges() {
+        const { sectionSelector, linkSelector } = this.options;
+        const selector = `${sectionSelector}, ${linkSelector}`;
+        const isRelevant = node => node.nodeType === Node.ELEMENT_NODE &&
+            (node.matches(selector) || node.querySelector(selector));
+        
+        const mutationObserver = new MutationObserver(mutations => {
+            const changed = mutations.some(mutation => mutation.type === 'attributes' ||
+                Array.from(mutation.addedNodes).some(isRelevant) ||
+                Array.from(mutation.removedNodes).some(isRelevant));
             
-            // Reset scrolling flag after animation
-            setTimeout(() => {
-                this.isScrolling = false;
-            }, 1000);
+            if (changed && this.refreshFrame === null) {
+                this.refreshFrame = this.disposables.requestFrame(() => {
+                    this.refreshFrame = null;
+                    this.refresh();
+                });
+            }
+        });
+        
+        mutationObserver.observe(document.body, {
+            childList: true,
+            subtree: true,
+            attributes: true,
+            attributeFilter: ['id', 'data-section']
+        });
+        this.disposables.observe(mutationObserver);
+    }
+
+    /**
+     * Discover sections and nav links from the DOM
+     */
+    refresh() {
+        const sections = Array.from(document.querySelectorAll(this.options.sectionSelector));
+        const previousIds = this.sections.map(section => section.id);
+        
+        this.sections.forEach(section => {
+            if (!sections.includes(section)) {
+                this.observer.unobserve(section);
+                this.visibility.delete(section.id);
+            }
+        });
+        
+        sections.forEach(section => {
+            if (!this.sections.includes(section)) {
+                this.observer.observe(section);
+            }
+        });
+        
+        this.sections = sections;
+        this.navLinks = Array.from(document.querySelectorAll(this.options.linkSelector));
+        
+        const ids = this.getSections();
+        if (ids.join() !== previousIds.join()) {
+            bus.emit('sections:update', { ids });
+        }
+        
+        // The current section may have been removed
+        if (ids.length && !ids.includes(this.currentSection)) {
+            this.currentSection = null;
+            if (!this.updateActiveSection()) {
+                this.setCurrentSection(ids[0]);
+            }
+        } else {
+            this.setActiveNavLink(this.currentSection);
         }
     }
 
+    /**
+     * Scroll to a section and make it the current one
+     * @param {string} sectionId
+     * @param {Object} [options]
+     * @param {string} [options.behavior] - 'smooth' or 'auto' (instant)
+     * @param {string} [options.source] - Reported in section:change, e.g. 'navigate' or 'route'
+     * @param {HTMLElement} [options.target] - Element within the section to scroll to instead
+     * @param {string} [options.align] - 'start' or 'center'
+     * @returns {Promise<boolean>} Resolves when the scroll ends; false if it was interrupted
+     */
+    scrollToSection(sectionId, options = {}) {
+        const { behavior = 'smooth', source = 'navigate', target, align } = options;
+        const targetSection = document.getElementById(sectionId);
+        
+        if (!targetSection) {
+            return Promise.resolve(false);
+        }
+        
+        // Keep the highlight on the target while passing other sections
+        this.isScrolling = true;
+        this.setCurrentSection(sectionId, source);
+        
+        const scroll = scrollEngine.scrollTo(target || targetSection, {
+            duration: behavior === 'smooth' ? undefined : 0,
+            align
+        });
+        this.activeScroll = scroll;
+        
+        return scroll.then(completed => {
+            // Unless a newer scroll has taken over
+            if (this.activeScroll === scroll) {
+                this.activeScroll = null;
+                this.isScrolling = false;
+                this.updateActiveSection();
+            }
+            return completed;
+        });
+    }
+
+    /**
+     * Make the most visible section the current one
+     * @returns {boolean} Whether any section is visible
+     */
     updateActiveSection() {
-        if (this.isScrolling) return;
-        
-        const scrollPos = window.scrollY + 100;
-        
-        this.sections.forEach(sectionId => {
-            const section = document.getElementById(sectionId);
-            if (section) {
-                const top = section.offsetTop;
-                const height = section.offsetHeight;
-                
-                if (scrollPos >= top && scrollPos < top + height) {
-                    if (this.currentSection !== sectionId) {
-                        this.currentSection = sectionId;
-                        this.setActiveNavLink(sectionId);
-                    }
-                }
+        if (this.isScrolling) {
+            return false;
+        }
+        
+        let active = null;
+        let maxHeight = 0;
+        
+        // Sections are in document order, so the first one wins a tie
+        this.sections.forEach(section => {
+            const visibility = this.visibility.get(section.id);
+            if (visibility && visibility.height > maxHeight) {
+                active = section.id;
+                maxHeight = visibility.height;
             }
         });
+        
+        if (active) {
+            this.setCurrentSection(active);
+        }
+        
+        return active !== null;
+    }
+
+    // Update the active section and announce it when it changes
+    setCurrentSection(sectionId, source = 'scroll') {
+        if (this.currentSection === sectionId) {
+            this.setActiveNavLink(sectionId);
+            return;
+        }
+        
+        const previous = this.currentSection;
+        this.currentSection = sectionId;
+        this.setActiveNavLink(sectionId);
+        
+        bus.emit('section:change', { id: sectionId, previous, source });
     }
 
     setActiveNavLink(sectionId) {
@@ -91,13 +373,68 @@ export class NavigationManager {
         return this.currentSection;
     }
 
-    scrollToTop() {
-        window.scrollTo({
-            top: 0,
-            behavior: 'smooth'
+    // Ids of the tracked sections in document order
+    getSections() {
+        return this.sections.map(section => section.id);
+    }
+
+    getSection(sectionId) {
+        return this.sections.find(section => section.id === sectionId) || null;
+    }
+
+    // Display name of a section: its nav link text, else its heading, else its id
+    getSectionLabel(sectionId) {
+        const link = this.navLinks.find(navLink => navLink.dataset.section === sectionId);
+        if (link) {
+            return link.textContent.trim();
+        }
+        
+        const section = this.getSection(sectionId);
+        const heading = section ? section.querySelector('h1, h2') : null;
+        return (heading && heading.textContent.trim()) || sectionId;
+    }
+
+    // Command palette entries, one per section
+    getCommands() {
+        return this.sections.map(section => {
+            const heading = section.querySelector('h1, h2');
+            
+            return {
+                id: `section:${section.id}`,
+                title: `Go to ${this.getSectionLabel(section.id)}`,
+                group: 'Sections',
+                keywords: [section.id, heading && heading.textContent.trim()].filter(Boolean),
+                run: () => this.scrollToSection(section.id)
+            };
         });
-        this.setActiveNavLink('home');
-        this.currentSection = 'home';
+    }
+
+    // Share of each section that is visible, from 0 to 1
+    getVisibility() {
+        const ratios = {};
+        this.visibility.forEach(({ ratio }, id) => {
+            ratios[id] = ratio;
+        });
+        return ratios;
+    }
+
+    /**
+     * Scroll to the section before (-1) or after (1) the current one
+     */
+    scrollBySection(direction) {
+        const ids = this.getSections();
+        const index = ids.indexOf(this.currentSection) + direction;
+        
+        if (index < 0 || index >= ids.length) {
+            return Promise.resolve(false);
+        }
+        
+        return this.scrollToSection(ids[index]);
+    }
+
+    scrollToTop() {
+        const firstSection = this.getSections()[0];
+        return firstSection ? this.scrollToSection(firstSection) : scrollEngine.scrollTo(0);
     }
 
     // Utility method to check if element is in viewport
@@ -115,7 +452,7 @@ export class NavigationManager {
     addCustomNavigation(selector, targetSection) {
         const elements = document.querySelectorAll(selector);
         elements.forEach(element => {
-            element.addEventListener('click', (e) => {
+            this.disposables.listen(element, 'click', (e) => {
                 e.preventDefault();
                 this.scrollToSection(targetSection);
             });
@@ -123,15 +460,27 @@ export class NavigationManager {
     }
 
     destroy() {
-        // Remove event listeners
-        this.navLinks.forEach(link => {
-            link.removeEventListener('click', this.handleNavClick);
-        });
+        // Remove listeners, subscriptions and pending timers
+        this.closeMenu({ returnFocus: false });
+        this.disposables.dispose();
+        this.setActiveNavLink(null);
+        
+        if (this.menuToggle) {
+            this.nav.classList.remove('is-compact');
+            this.menuToggle.hidden = true;
+        }
         
         // Reset state
         this.navLinks = [];
         this.sections = [];
+        this.visibility.clear();
+        this.observer = null;
         this.currentSection = 'home';
         this.isScrolling = false;
+        this.activeScroll = null;
+        this.refreshFrame = null;
+        this.nav = null;
+        this.menuToggle = null;
+        this.isCompact = false;
     }
 }
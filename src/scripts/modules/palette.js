@@ -0,0 +1,533 @@
+/**
+ * Command Palette
+ * Ctrl/Cmd+K opens a searchable list of sections, projects, skills and actions.
+ * Modules contribute commands by implementing getCommands().
+ */
+
+import { Disposables } from '../core/disposables.js';
+import { withDefaults } from '../core/config.js';
+import { scrollEngine } from '../core/scroll.js';
+import { shortcuts } from '../core/shortcuts.js';
+import { storage } from '../../utils/index.js';
+
+/**
+ * @typedef {Object} Command
+ * @property {string} id - Unique id, also used for recent items
+ * @property {string} title - Shown in the list and matched against the query
+ * @property {string} [group] - Heading the command is listed under
+ * @property {string[]} [keywords] - Extra words that match the command
+ * @property {string} [hint] - Secondary text, e.g. a keyboard shortcut
+ * @property {Function} run - Called when the command is chosen
+ */
+
+// Groups are listed in this order; unknown groups go last
+const GROUP_ORDER = ['Recent', 'Sections', 'Projects', 'Skills', 'Actions'];
+
+/**
+ * Score how well a query matches text as an in-order subsequence
+ * Consecutive characters and word starts score higher.
+ * @returns {{score: number, indices: number[]}|null} Null if it doesn't match
+ */
+function fuzzyMatch(query, text) {
+    const needle = query.toLowerCase();
+    const haystack = text.toLowerCase();
+    const indices = [];
+    let score = 0;
+    let position = 0;
+
+    for (const char of needle) {
+        const index = haystack.indexOf(char, position);
+        if (index === -1) {
+            return null;
+        }
+
+        const previous = indices[indices.length - 1];
+        score += 1;
+        if (previous === index - 1) {
+            score += 3;
+        }
+        if (index === 0 || /[\s\-_/]/.test(haystack[index - 1])) {
+            score += 2;
+        }
+
+        indices.push(index);
+        position = index + 1;
+    }
+
+    // Prefer matches that start early in shorter texts
+    score -= indices[0] * 0.1 + haystack.length * 0.01;
+
+    return { score, indices };
+}
+
+export class CommandPalette {
+    /**
+     * @param {Object} app - Provides the running modules via app.modules
+     * @param {import('../core/config.js').PaletteConfig} [options]
+     */
+    constructor(app, options = {}) {
+        this.app = app;
+        this.options = withDefaults('palette', options);
+        this.commands = new Map();
+        this.results = [];
+        this.activeIndex = 0;
+        this.isOpen = false;
+        this.element = null;
+        this.input = null;
+        this.list = null;
+        this.status = null;
+        this.previousFocus = null;
+        this.leaveScope = null;
+        // Stored data may be stale or edited by hand; only trust a list
+        const recent = storage.get(this.options.storageKey, []);
+        this.recent = Array.isArray(recent) ? recent : [];
+        this.disposables = new Disposables();
+
+        this.init();
+    }
+
+    init() {
+        this.disposables.add(shortcuts.register('palette.toggle', {
+            keys: 'mod+k',
+            description: 'Open the command palette',
+            group: 'General',
+            scopes: ['global', 'palette'],
+            allowInInputs: true,
+            handler: () => this.toggle()
+        }));
+
+        this.addCommands(this.getDefaultCommands());
+    }
+
+    /**
+     * Add commands that are not tied to a module
+     * @param {Command[]} commands
+     * @returns {Function} Removes the commands again
+     */
+    addCommands(commands) {
+        commands.forEach(command => this.commands.set(command.id, command));
+
+        return () => commands.forEach(command => {
+            if (this.commands.get(command.id) === command) {
+                this.commands.delete(command.id);
+            }
+        });
+    }
+
+    getDefaultCommands() {
+        const commands = Array.from(document.querySelectorAll('.skill-card[data-skill]'))
+            .map(card => {
+                const name = card.querySelector('.skill-name span');
+                const description = card.querySelector('.skill-description');
+
+                return {
+                    id: `skill:${card.dataset.skill}`,
+                    title: name ? name.textContent.trim() : card.dataset.skill,
+                    group: 'Skills',
+                    keywords: description ? description.textContent.split(',') : [],
+                    run: () => scrollEngine.scrollTo(card, { align: 'center' })
+                };
+            });
+
+        commands.push({
+            id: 'action:top',
+            title: 'Scroll to top',
+            group: 'Actions',
+            keywords: ['home', 'up'],
+            run: () => scrollEngine.scrollTo(0)
+        });
+
+        const email = this.getEmail();
+        if (email) {
+            commands.push({
+                id: 'action:copy-email',
+                title: 'Copy email address',
+                group: 'Actions',
+                keywords: ['contact', 'mail'],
+                hint: email,
+                run: () => this.copyEmail(email)
+            });
+        }
+
+        return commands;
+    }
+
+    // From the config, or from the Person structured data in the page
+    getEmail() {
+        if (this.options.email) {
+            return this.options.email;
+        }
+
+        const script = document.querySelector('script[type="application/ld+json"]');
+        try {
+            return script ? JSON.parse(script.textContent).email || null : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    async copyEmail(email) {
+        try {
+            await navigator.clipboard.writeText(email);
+            this.announce(`Copied ${email}`);
+        } catch (error) {
+            // No clipboard access; open the mail client instead
+            window.location.href = `mailto:${email}`;
+        }
+    }
+
+    /**
+     * All commands: the palette's own plus those of every running module
+     * @returns {Command[]}
+     */
+    getCommands() {
+        const commands = new Map(this.commands);
+
+        Object.values(this.app.modules).forEach(module => {
+            if (module && module !== this && typeof module.getCommands === 'function') {
+                module.getCommands().forEach(command => commands.set(command.id, command));
+            }
+        });
+
+        return Array.from(commands.values());
+    }
+
+    search(query) {
+        const commands = this.getCommands();
+        const trimmed = query.trim();
+
+        if (!trimmed) {
+            const recent = this.recent
+                .map(id => commands.find(command => command.id === id))
+                .filter(Boolean)
+                .map(command => ({ command, group: 'Recent', indices: [] }));
+            const rest = commands
+                .filter(command => !this.recent.includes(command.id))
+                .map(command => ({ command, group: command.group || 'Actions', indices: [] }));
+
+            return [...recent, ...this.sortByGroup(rest)];
+        }
+
+        const matches = [];
+        commands.forEach(command => {
+            const titleMatch = fuzzyMatch(trimmed, command.title);
+            const keywordScore = (command.keywords || [])
+                .map(keyword => fuzzyMatch(trimmed, keyword.trim()))
+                .filter(Boolean)
+                .reduce((best, match) => Math.max(best, match.score - 1), -Infinity);
+
+            if (titleMatch || keywordScore > -Infinity) {
+                const score = titleMatch ? Math.max(titleMatch.score, keywordScore) : keywordScore;
+                matches.push({
+                    command,
+                    group: command.group || 'Actions',
+                    indices: titleMatch ? titleMatch.indices : [],
+                    score
+                });
+            }
+        });
+
+        return matches
+            .sort((a, b) => b.score - a.score)
+            .slice(0, this.options.maxResults);
+    }
+
+    sortByGroup(results) {
+        const rank = group => {
+            const index = GROUP_ORDER.indexOf(group);
+            return index === -1 ? GROUP_ORDER.length : index;
+        };
+
+        return results.slice().sort((a, b) => rank(a.group) - rank(b.group));
+    }
+
+    // Build the dialog the first time it is opened
+    createElement() {
+        const element = document.createElement('div');
+        element.className = 'command-palette';
+        element.hidden = true;
+        element.innerHTML = `
+            <div class="command-palette-backdrop"></div>
+            <div class="command-palette-dialog" role="dialog" aria-modal="true"
+                aria-label="Command palette">
+                <input class="command-palette-input" type="text" role="combobox"
+                    aria-expanded="false" aria-controls="command-palette-list"
+                    aria-autocomplete="list" aria-label="Search commands"
+                    placeholder="Jump to a section, project or action..."
+                    autocomplete="off" spellcheck="false">
+                <div class="command-palette-list" id="command-palette-list" role="listbox"
+                    aria-label="Commands"></div>
+            </div>
+        `;
+
+        const status = document.createElement('div');
+        status.className = 'command-palette-status';
+        status.setAttribute('role', 'status');
+
+        document.body.appendChild(element);
+        document.body.appendChild(status);
+
+        this.element = element;
+        this.input = element.querySelector('.command-palette-input');
+        this.list = element.querySelector('.command-palette-list');
+        this.status = status;
+
+        this.disposables.listen(this.input, 'input', () => this.update());
+        this.disposables.listen(this.input, 'keydown', e => this.handleKeydown(e));
+        this.disposables.listen(element.querySelector('.command-palette-backdrop'), 'click', () => {
+            this.close();
+        });
+        this.disposables.listen(this.list, 'click', (e) => {
+            const option = e.target.closest('[role="option"]');
+            if (option) {
+                this.runAt(Number(option.dataset.index));
+            }
+        });
+        this.disposables.listen(this.list, 'mousemove', (e) => {
+            const option = e.target.closest('[role="option"]');
+            if (option && Number(option.dataset.index) !== this.activeIndex) {
+                this.setActive(Number(option.dataset.index));
+            }
+        });
+
+        // Focus stays inside the dialog while it is open
+        this.disposables.listen(element, 'focusout', (e) => {
+            if (this.isOpen && !element.contains(e.relatedTarget)) {
+                this.input.focus();
+            }
+        });
+
+        this.disposables.add(() => {
+            element.remove();
+            status.remove();
+        });
+    }
+
+    handleKeydown(e) {
+        const count = this.results.length;
+
+        switch (e.key) {
+        case 'ArrowDown':
+            e.preventDefault();
+            this.setActive(count ? (this.activeIndex + 1) % count : 0);
+            break;
+        case 'ArrowUp':
+            e.preventDefault();
+            this.setActive(count ? (this.activeIndex - 1 + count) % count : 0);
+            break;
+        case 'Enter':
+            e.preventDefault();
+            this.runAt(this.activeIndex);
+            break;
+        case 'Escape':
+            e.preventDefault();
+            this.close();
+            break;
+        case 'Tab':
+            e.preventDefault();
+            break;
+        default:
+            break;
+        }
+    }
+
+    update() {
+        this.results = this.search(this.input.value);
+        this.render();
+        this.setActive(0);
+    }
+
+    render() {
+        this.list.textContent = '';
+        this.input.setAttribute('aria-expanded', String(this.results.length > 0));
+
+        if (!this.results.length) {
+            const empty = document.createElement('div');
+            empty.className = 'command-palette-empty';
+            empty.textContent = 'No matching commands';
+            this.list.appendChild(empty);
+            return;
+        }
+
+        // Ranked results are grouped only while browsing without a query
+        const grouped = !this.input.value.trim();
+        let groupElement = null;
+        let currentGroup = null;
+
+        this.results.forEach((result, index) => {
+            const label = grouped ? result.group : 'Results';
+
+            if (label !== currentGroup) {
+                currentGroup = label;
+                groupElement = document.createElement('div');
+                groupElement.setAttribute('role', 'group');
+                groupElement.setAttribute('aria-label', label);
+
+                const heading = document.createElement('div');
+                heading.className = 'command-palette-group';
+                heading.setAttribute('aria-hidden', 'true');
+                heading.textContent = label;
+
+                groupElement.appendChild(heading);
+                this.list.appendChild(groupElement);
+            }
+
+            groupElement.appendChild(this.renderOption(result, index, grouped));
+        });
+    }
+
+    renderOption({ command, indices }, index, grouped) {
+        const option = document.createElement('div');
+        option.className = 'command-palette-option';
+        option.id = `command-palette-option-${index}`;
+        option.dataset.index = index;
+        option.setAttribute('role', 'option');
+        option.setAttribute('aria-selected', 'false');
+
+        const title = document.createElement('span');
+        title.className = 'command-palette-title';
+        this.highlight(title, command.title, indices);
+        option.appendChild(title);
+
+        // Without group headings the group becomes the hint
+        const hintText = command.hint || (grouped ? '' : command.group);
+        if (hintText) {
+            const hint = document.createElement('span');
+            hint.className = 'command-palette-hint';
+            hint.textContent = hintText;
+            option.appendChild(hint);
+        }
+
+        return option;
+    }
+
+    // Wrap matched characters in <mark> without going through innerHTML
+    highlight(element, text, indices) {
+        const matched = new Set(indices);
+        let buffer = '';
+        let isMark = false;
+
+        const flush = () => {
+            if (!buffer) {
+                return;
+            }
+            const node = isMark ? document.createElement('mark') : document.createTextNode(buffer);
+            if (isMark) {
+                node.textContent = buffer;
+            }
+            element.appendChild(node);
+            buffer = '';
+        };
+
+        // Indices from fuzzyMatch count UTF-16 code units, so walk those too
+        for (let index = 0; index < text.length; index++) {
+            if (matched.has(index) !== isMark) {
+                flush();
+                isMark = matched.has(index);
+            }
+            buffer += text[index];
+        }
+        flush();
+    }
+
+    setActive(index) {
+        const options = this.list.querySelectorAll('[role="option"]');
+        this.activeIndex = Math.min(index, Math.max(options.length - 1, 0));
+
+        options.forEach((option, i) => {
+            option.setAttribute('aria-selected', String(i === this.activeIndex));
+        });
+
+        const active = options[this.activeIndex];
+        if (active) {
+            this.input.setAttribute('aria-activedescendant', active.id);
+            active.scrollIntoView({ block: 'nearest' });
+        } else {
+            this.input.removeAttribute('aria-activedescendant');
+        }
+    }
+
+    runAt(index) {
+        const result = this.results[index];
+        if (!result) {
+            return;
+        }
+
+        this.addRecent(result.command.id);
+        this.close({ restoreFocus: false });
+        result.command.run();
+    }
+
+    addRecent(id) {
+        this.recent = [id, ...this.recent.filter(recentId => recentId !== id)]
+            .slice(0, this.options.maxRecent);
+        storage.set(this.options.storageKey, this.recent);
+    }
+
+    announce(message) {
+        if (this.status) {
+            this.status.textContent = message;
+        }
+    }
+
+    // Public methods
+    open(query = '') {
+        if (!this.element) {
+            this.createElement();
+        }
+
+        if (this.isOpen) {
+            return;
+        }
+
+        this.isOpen = true;
+        this.previousFocus = document.activeElement;
+        this.element.hidden = false;
+        document.documentElement.classList.add('command-palette-open');
+        this.leaveScope = shortcuts.pushScope('palette');
+
+        this.input.value = query;
+        this.update();
+        this.input.focus();
+    }
+
+    close({ restoreFocus = true } = {}) {
+        if (!this.isOpen) {
+            return;
+        }
+
+        this.isOpen = false;
+        this.element.hidden = true;
+        document.documentElement.classList.remove('command-palette-open');
+        this.leaveScope();
+        this.leaveScope = null;
+        this.input.setAttribute('aria-expanded', 'false');
+        this.input.removeAttribute('aria-activedescendant');
+
+        if (restoreFocus && this.previousFocus && this.previousFocus.focus) {
+            this.previousFocus.focus();
+        }
+        this.previousFocus = null;
+    }
+
+    toggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    destroy() {
+        this.close();
+        this.disposables.dispose();
+        document.documentElement.classList.remove('command-palette-open');
+
+        this.commands.clear();
+        this.results = [];
+        this.element = null;
+        this.input = null;
+        this.list = null;
+        this.status = null;
+    }
+}
@@ -1,14 +1,29 @@
 /**
  * Performance Manager
  * Handles scroll progress, performance optimization, and monitoring
+ * Frame-rate monitoring and effect quality live in core/quality.js.
  */
 
+import { bus } from '../core/bus.js';
+import { scheduler } from '../core/scheduler.js';
+import { Disposables } from '../core/disposables.js';
+import { quality } from '../core/quality.js';
+import { withDefaults } from '../core/config.js';
+import { math } from '../../utils/index.js';
+
 export class PerformanceManager {
-    constructor() {
+    /**
+     * @param {import('../core/config.js').PerformanceConfig} [options]
+     */
+    constructor(options = {}) {
+        this.options = withDefaults('performance', options);
         this.progressBar = null;
         this.isAnimationsPaused = false;
         this.performanceMetrics = {};
         this.observers = [];
+        this.images = [];
+        this.offscreenImages = new Set();
+        this.disposables = new Disposables();
         
         this.init();
     }
@@ -17,6 +32,14 @@ export class PerformanceManager {
         this.progressBar = document.getElementById('progress');
         this.setupPerformanceMonitoring();
         this.setupIntersectionObserver();
+        this.optimizeScrollPerformance();
+        this.subscribeToEvents();
+    }
+
+    subscribeToEvents() {
+        this.disposables.add(bus.on('visibility:hidden', () => this.pauseAnimations()));
+        this.disposables.add(bus.on('visibility:visible', () => this.resumeAnimations()));
+        this.disposables.add(bus.on('app:unload', () => this.cleanup()));
     }
 
     setupPerformanceMonitoring() {
@@ -52,7 +75,7 @@ export class PerformanceManager {
                 }
             });
         }, {
-            rootMargin: '50px'
+            rootMargin: this.options.lazyLoadMargin
         });
 
         // Observe all images with data-src
@@ -72,10 +95,7 @@ export class PerformanceManager {
                     element.style.willChange = 'auto';
                 }
             });
-        }, {
-            threshold: 0.1,
-            rootMargin: '100px'
-        });
+        }, this.options.animationObserver);
 
         // Observe elements that have animations
         const animatedElements = document.querySelectorAll('.fade-in, .floating-element');
@@ -84,14 +104,14 @@ export class PerformanceManager {
         this.observers.push(animationObserver);
     }
 
-    updateProgressBar() {
+    // Called in the scheduler's mutate phase with the frame's viewport state
+    updateProgressBar(state = scheduler.readViewport()) {
         if (!this.progressBar) return;
         
-        const scrollTop = window.scrollY;
-        const docHeight = document.body.scrollHeight - window.innerHeight;
-        const scrollPercent = (scrollTop / docHeight) * 100;
+        const progress = state.maxScroll > 0 ? state.scrollY / state.maxScroll : 0;
         
-        this.progressBar.style.width = `${scrollPercent}%`;
+        // scaleX avoids the layout that animating width would cause
+        this.progressBar.style.transform = `scaleX(${math.clamp(progress, 0, 1)})`;
     }
 
     pauseAnimations() {
@@ -169,6 +189,7 @@ export class PerformanceManager {
     getPerformanceReport() {
         return {
             ...this.performanceMetrics,
+            quality: quality.getStats(),
             timestamp: Date.now(),
             userAgent: navigator.userAgent,
             viewport: {
@@ -183,10 +204,22 @@ export class PerformanceManager {
     }
 
     optimizeImages() {
-        const images = document.querySelectorAll('img');
-        images.forEach(img => {
+        this.measureImages();
+        this.applyImageOptimizations();
+    }
+
+    // Read phase: find images below the fold
+    measureImages() {
+        const images = Array.from(document.querySelectorAll('img'));
+        this.offscreenImages = new Set(images.filter(img => !this.isElementInViewport(img)));
+        this.images = images;
+    }
+
+    // Write phase: apply loading hints to the measured images
+    applyImageOptimizations() {
+        this.images.forEach(img => {
             // Add loading="lazy" for images below the fold
-            if (!this.isElementInViewport(img)) {
+            if (this.offscreenImages.has(img)) {
                 img.loading = 'lazy';
             }
             
@@ -243,46 +276,29 @@ export class PerformanceManager {
         };
     }
 
-    // Method to monitor frame rate
-    startFrameRateMonitoring() {
-        let frameCount = 0;
-        let lastTime = performance.now();
-        
-        const countFrames = () => {
-            frameCount++;
-            const currentTime = performance.now();
-            
-            if (currentTime >= lastTime + 1000) {
-                const fps = Math.round((frameCount * 1000) / (currentTime - lastTime));
-                this.performanceMetrics.fps = fps;
-                
-                frameCount = 0;
-                lastTime = currentTime;
-            }
-            
-            requestAnimationFrame(countFrames);
-        };
-        
-        requestAnimationFrame(countFrames);
-    }
-
     // Method to optimize scroll performance
     optimizeScrollPerformance() {
-        // Use passive event listeners for better scroll performance
-        const scrollOptions = { passive: true };
-        
-        window.addEventListener('scroll', this.throttle(() => {
-            this.updateProgressBar();
-        }, 16), scrollOptions);
-        
-        window.addEventListener('resize', this.debounce(() => {
-            this.handleResize();
-        }, 250), scrollOptions);
+        // Progress bar and resize work run in the shared frame scheduler,
+        // which listens passively and keeps reads ahead of writes
+        this.disposables.add(scheduler.subscribe({
+            measure: state => {
+                if (state.resized) {
+                    this.measureImages();
+                }
+            },
+            mutate: state => {
+                this.updateProgressBar(state);
+                
+                if (state.resized) {
+                    this.handleResize();
+                }
+            }
+        }));
     }
 
     handleResize() {
         // Recalculate performance optimizations on resize
-        this.optimizeImages();
+        this.applyImageOptimizations();
         this.optimizeDOMQueries();
     }
 
@@ -299,6 +315,7 @@ export class PerformanceManager {
             link.href = resource;
             link.as = resource.endsWith('.css') ? 'style' : 'script';
             document.head.appendChild(link);
+            this.disposables.add(() => link.remove());
         });
     }
 
@@ -319,13 +336,13 @@ export class PerformanceManager {
     destroy() {
         this.cleanup();
         
-        // Remove event listeners
-        window.removeEventListener('scroll', this.handleScroll);
-        window.removeEventListener('resize', this.handleResize);
+        // Remove subscriptions
+        this.disposables.dispose();
+        this.resumeAnimations();
         
         // Reset progress bar
         if (this.progressBar) {
-            this.progressBar.style.width = '0%';
+            this.progressBar.style.transform = 'scaleX(0)';
         }
     }
 }
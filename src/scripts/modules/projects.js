@@ -0,0 +1,174 @@
+/**
+ * Project Manager
+ * Opens a project card in place to show it in detail; one project is open at a time
+ */
+
+import { bus } from '../core/bus.js';
+import { Disposables } from '../core/disposables.js';
+import { scrollEngine } from '../core/scroll.js';
+import { shortcuts } from '../core/shortcuts.js';
+
+export class ProjectManager {
+    constructor() {
+        this.cards = new Map();
+        this.openId = null;
+        this.unregisterClose = null;
+        this.disposables = new Disposables();
+
+        this.init();
+    }
+
+    init() {
+        document.querySelectorAll('.project-card[data-project]').forEach(card => {
+            this.cards.set(card.dataset.project, card);
+            this.setupCard(card);
+        });
+
+        this.disposables.add(() => this.releaseEscape());
+    }
+
+    // Escape closes the open project; registered only while one is open, so it
+    // leaves Escape alone otherwise and gives way to the palette, help and menu scopes
+    claimEscape() {
+        if (!this.unregisterClose) {
+            this.unregisterClose = shortcuts.register('projects.close', {
+                keys: 'Escape',
+                description: 'Close the project',
+                group: 'Projects',
+                handler: () => this.close()
+            });
+        }
+    }
+
+    releaseEscape() {
+        if (this.unregisterClose) {
+            this.unregisterClose();
+            this.unregisterClose = null;
+        }
+    }
+
+    setupCard(card) {
+        card.setAttribute('tabindex', '0');
+        card.setAttribute('aria-expanded', 'false');
+
+        this.disposables.listen(card, 'click', (e) => {
+            // Links inside the card keep their own behaviour
+            if (e.target.closest('a')) {
+                return;
+            }
+            this.toggle(card.dataset.project);
+        });
+
+        this.disposables.listen(card, 'keydown', (e) => {
+            if ((e.key === 'Enter' || e.key === ' ') && e.target === card) {
+                e.preventDefault();
+                this.toggle(card.dataset.project);
+            }
+        });
+    }
+
+    /**
+     * Open a project by its data-project id
+     * @returns {boolean} False if there is no such project
+     */
+    open(id) {
+        const card = this.cards.get(id);
+        if (!card) {
+            return false;
+        }
+
+        if (this.openId === id) {
+            return true;
+        }
+
+        // Switching projects: the new one counts as open while the old one closes
+        const previous = this.openId;
+        this.openId = id;
+        if (previous) {
+            this.setExpanded(previous, false);
+            bus.emit('project:close', { id: previous });
+        }
+
+        this.setExpanded(id, true);
+        this.claimEscape();
+        bus.emit('project:open', { id });
+        return true;
+    }
+
+    close() {
+        const id = this.openId;
+        if (!id) {
+            return;
+        }
+
+        this.openId = null;
+        this.setExpanded(id, false);
+        this.releaseEscape();
+        bus.emit('project:close', { id });
+    }
+
+    setExpanded(id, expanded) {
+        const card = this.cards.get(id);
+        card.classList.toggle('is-open', expanded);
+        card.setAttribute('aria-expanded', String(expanded));
+    }
+
+    toggle(id) {
+        if (this.openId === id) {
+            this.close();
+        } else {
+            this.open(id);
+        }
+    }
+
+    // Open a project and bring it into view
+    reveal(id) {
+        if (!this.open(id)) {
+            return Promise.resolve(false);
+        }
+
+        return scrollEngine.scrollTo(this.cards.get(id), { align: 'center' });
+    }
+
+    // Command palette entries, one per project
+    getCommands() {
+        return Array.from(this.cards, ([id, card]) => {
+            const title = card.querySelector('.project-title');
+            const tags = card.querySelectorAll('.tech-tag');
+
+            return {
+                id: `project:${id}`,
+                title: title ? title.textContent.trim() : id,
+                group: 'Projects',
+                keywords: Array.from(tags, tag => tag.textContent.trim()),
+                run: () => this.reveal(id)
+            };
+        });
+    }
+
+    // Public methods
+    has(id) {
+        return this.cards.has(id);
+    }
+
+    getOpenProject() {
+        return this.openId;
+    }
+
+    getCard(id) {
+        return this.cards.get(id) || null;
+    }
+
+    destroy() {
+        this.disposables.dispose();
+
+        this.cards.forEach(card => {
+            card.classList.remove('is-open');
+            card.removeAttribute('tabindex');
+            card.removeAttribute('aria-expanded');
+        });
+
+        this.cards.clear();
+        this.openId = null;
+    }
+}
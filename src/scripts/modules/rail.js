@@ -0,0 +1,186 @@
+/**
+ * Section Rail
+ * Side rail with one dot per section that fills as the section is read,
+ * marks the current section and jumps to a section on click. Sections and
+ * the current section come from the navigation manager.
+ */
+
+import { bus } from '../core/bus.js';
+import { Disposables } from '../core/disposables.js';
+import { scheduler } from '../core/scheduler.js';
+import { withDefaults } from '../core/config.js';
+import { math } from '../../utils/index.js';
+
+export class SectionRail {
+    /**
+     * @param {import('./navigation.js').NavigationManager} navigation
+     * @param {import('../core/config.js').RailConfig} [options]
+     */
+    constructor(navigation, options = {}) {
+        this.navigation = navigation;
+        this.options = withDefaults('rail', options);
+        this.element = null;
+        this.list = null;
+        this.items = new Map();
+        this.bounds = new Map();
+        this.progress = new Map();
+        this.needsMeasure = true;
+        this.disposables = new Disposables();
+
+        this.init();
+    }
+
+    init() {
+        this.createElement();
+        this.render();
+
+        this.disposables.add(bus.on('sections:update', () => this.render()));
+        this.disposables.add(bus.on('section:change', ({ id }) => this.setActive(id)));
+
+        this.disposables.listen(this.list, 'click', (e) => {
+            const item = e.target.closest('.section-rail-item');
+            if (!item) {
+                return;
+            }
+
+            e.preventDefault();
+            this.navigation.scrollToSection(item.dataset.section);
+        });
+
+        this.disposables.add(scheduler.subscribe({
+            measure: state => {
+                if (state.resized || this.needsMeasure) {
+                    this.measure(state);
+                }
+            },
+            mutate: state => this.update(state)
+        }));
+    }
+
+    createElement() {
+        const element = document.createElement('nav');
+        element.className = 'section-rail';
+        element.setAttribute('aria-label', 'Page sections');
+
+        this.list = document.createElement('ol');
+        this.list.className = 'section-rail-list';
+        element.appendChild(this.list);
+
+        document.body.appendChild(element);
+        this.element = element;
+        this.disposables.add(() => element.remove());
+    }
+
+    // One item per section, rebuilt whenever the navigation finds a different set
+    render() {
+        this.list.textContent = '';
+        this.items.clear();
+        this.progress.clear();
+
+        this.navigation.getSections().forEach(id => {
+            const item = document.createElement('a');
+            const dot = document.createElement('span');
+            const label = document.createElement('span');
+            const name = this.navigation.getSectionLabel(id);
+
+            item.className = 'section-rail-item';
+            item.href = `#${id}`;
+            item.dataset.section = id;
+            dot.className = 'section-rail-dot';
+            label.className = 'section-rail-label';
+            label.textContent = name;
+            item.append(dot, label);
+
+            const minutes = this.options.readingTime ? this.getReadingTime(id) : 0;
+            if (minutes) {
+                const time = document.createElement('span');
+                time.className = 'section-rail-time';
+                time.textContent = `${minutes} min`;
+                item.appendChild(time);
+                item.setAttribute('aria-label', `${name}, ${minutes} min read`);
+            }
+
+            const entry = document.createElement('li');
+            entry.appendChild(item);
+            this.list.appendChild(entry);
+            this.items.set(id, item);
+        });
+
+        this.setActive(this.navigation.getCurrentSection());
+
+        this.needsMeasure = true;
+        scheduler.schedule('update');
+    }
+
+    /**
+     * Estimated reading time of a section in whole minutes, at least 1
+     */
+    getReadingTime(sectionId) {
+        const section = this.navigation.getSection(sectionId);
+        if (!section) {
+            return 0;
+        }
+
+        const words = section.textContent.split(/\s+/).filter(Boolean).length;
+        return Math.max(1, Math.round(words / this.options.wordsPerMinute));
+    }
+
+    // Document position of every section; only re-read on resize or after a rebuild
+    measure(state) {
+        this.bounds.clear();
+
+        this.items.forEach((item, id) => {
+            const section = this.navigation.getSection(id);
+            if (!section) {
+                return;
+            }
+
+            const rect = section.getBoundingClientRect();
+            this.bounds.set(id, { top: rect.top + state.scrollY, height: rect.height });
+        });
+
+        this.needsMeasure = false;
+    }
+
+    // Share of each section above the reading line, written as --progress
+    update(state) {
+        const readingY = state.scrollY + state.viewportHeight * this.options.readingLine;
+
+        // Sections at the very end can't reach the reading line, so the bottom counts as read
+        const atEnd = state.scrollY >= state.maxScroll - 1;
+
+        this.bounds.forEach(({ top, height }, id) => {
+            const progress = atEnd ? 1 : math.clamp((readingY - top) / (height || 1), 0, 1);
+            const rounded = Math.round(progress * 100) / 100;
+
+            if (this.progress.get(id) !== rounded) {
+                this.progress.set(id, rounded);
+                this.items.get(id).style.setProperty('--progress', rounded);
+            }
+        });
+    }
+
+    setActive(sectionId) {
+        this.items.forEach((item, id) => {
+            if (id === sectionId) {
+                item.setAttribute('aria-current', 'true');
+            } else {
+                item.removeAttribute('aria-current');
+            }
+        });
+    }
+
+    // Public methods
+    getProgress(sectionId) {
+        return this.progress.get(sectionId) || 0;
+    }
+
+    destroy() {
+        this.disposables.dispose();
+        this.items.clear();
+        this.bounds.clear();
+        this.progress.clear();
+        this.element = null;
+        this.list = null;
+    }
+}
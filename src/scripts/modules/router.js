@@ -0,0 +1,240 @@
+/**
+ * Router
+ * Keeps the URL in sync with the current section (/#about) and the open
+ * project (/projects/neural-art), and restores both on load and back/forward
+ */
+
+import { bus } from '../core/bus.js';
+import { Disposables } from '../core/disposables.js';
+import { withDefaults } from '../core/config.js';
+
+export class RouterManager {
+    /**
+     * @param {import('./navigation.js').NavigationManager} navigation
+     * @param {import('./projects.js').ProjectManager|null} projects
+     * @param {import('../core/config.js').RouterConfig} [options]
+     */
+    constructor(navigation, projects, options = {}) {
+        this.options = withDefaults('router', options);
+        this.navigation = navigation;
+        this.projects = projects;
+        this.route = null;
+        this.hooks = new Set();
+        this.isApplying = false;
+        this.disposables = new Disposables();
+
+        this.init();
+    }
+
+    init() {
+        this.route = this.parse(window.location);
+
+        // Unknown paths and projects fall back to a plain section URL
+        const url = this.format(this.route);
+        if (url !== this.currentUrl()) {
+            history.replaceState({ route: this.route }, '', url);
+        }
+
+        if (this.route.project || this.route.section) {
+            this.apply(this.route, { behavior: 'auto' });
+        }
+
+        this.subscribeToEvents();
+    }
+
+    subscribeToEvents() {
+        this.disposables.listen(window, 'popstate', () => {
+            const route = this.parse(window.location);
+            this.apply(route);
+            this.setRoute(route, 'pop');
+        });
+
+        // In-page links such as the hero CTA go through the router too
+        this.disposables.listen(document, 'click', (e) => {
+            const link = e.target.closest('a[href^="#"]');
+            const modified = e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey;
+            if (!link || e.defaultPrevented || modified) {
+                return;
+            }
+
+            const id = decodeURIComponent(link.getAttribute('href').slice(1));
+            if (id && document.getElementById(id)) {
+                e.preventDefault();
+                this.navigate({ section: id });
+            }
+        });
+
+        this.disposables.add(bus.on('section:change', ({ id, source }) => {
+            if (this.isApplying) {
+                return;
+            }
+
+            // Keep the open project in the URL while its section is in view
+            const project = id === this.options.projectSection && this.projects
+                ? this.projects.getOpenProject()
+                : null;
+
+            // Clicks create history entries; scrolling only updates the current one
+            const action = source === 'navigate' ? 'push' : 'replace';
+            this.commit({ section: id, project }, action);
+        }));
+
+        this.disposables.add(bus.on('project:open', ({ id }) => {
+            if (this.isApplying) {
+                return;
+            }
+            this.commit({ section: this.options.projectSection, project: id }, 'push');
+        }));
+
+        this.disposables.add(bus.on('project:close', () => {
+            // Nothing to record when another project is opening in its place
+            if (this.isApplying || this.projects.getOpenProject()) {
+                return;
+            }
+            this.commit({ section: this.options.projectSection, project: null }, 'push');
+        }));
+    }
+
+    /**
+     * Read a route from a location
+     * @returns {{section: string|null, project: string|null}}
+     */
+    parse({ pathname, hash }) {
+        const base = this.getBase();
+        const path = pathname.startsWith(base) ? pathname.slice(base.length) : pathname.slice(1);
+        const [prefix, id] = path.split('/').filter(Boolean).map(decodeURIComponent);
+
+        if (prefix === this.options.projectPath && id && this.projects && this.projects.has(id)) {
+            return { section: this.options.projectSection, project: id };
+        }
+
+        const section = decodeURIComponent(hash.slice(1));
+        return {
+            section: section && document.getElementById(section) ? section : null,
+            project: null
+        };
+    }
+
+    /**
+     * Build the URL for a route; the search string is kept as is
+     */
+    format({ section, project }) {
+        const base = this.getBase();
+        const search = window.location.search;
+
+        if (project) {
+            return `${base}${this.options.projectPath}/${encodeURIComponent(project)}${search}`;
+        }
+
+        if (!section || section === this.options.homeSection) {
+            return `${base}${search}`;
+        }
+
+        return `${base}${search}#${encodeURIComponent(section)}`;
+    }
+
+    getBase() {
+        return this.options.base.endsWith('/') ? this.options.base : `${this.options.base}/`;
+    }
+
+    currentUrl() {
+        const { pathname, search, hash } = window.location;
+        return `${pathname}${search}${hash}`;
+    }
+
+    // Show a route without recording it in the history
+    apply(route, { behavior = 'smooth' } = {}) {
+        this.isApplying = true;
+
+        try {
+            if (this.projects) {
+                if (route.project) {
+                    this.projects.open(route.project);
+                } else {
+                    this.projects.close();
+                }
+            }
+
+            // An open project is brought into view itself
+            const card = route.project ? this.projects.getCard(route.project) : null;
+
+            if (route.section) {
+                this.navigation.scrollToSection(route.section, {
+                    behavior,
+                    source: 'route',
+                    target: card,
+                    align: card ? 'center' : 'start'
+                });
+            }
+        } finally {
+            this.isApplying = false;
+        }
+    }
+
+    // Record a route that is already on screen
+    commit(route, action = 'push') {
+        const url = this.format(route);
+
+        if (url !== this.currentUrl()) {
+            const method = action === 'push' ? 'pushState' : 'replaceState';
+            history[method]({ route }, '', url);
+        }
+
+        this.setRoute(route, action);
+    }
+
+    setRoute(route, action) {
+        const previous = this.route;
+        if (previous && previous.section === route.section && previous.project === route.project) {
+            return;
+        }
+
+        this.route = route;
+        this.hooks.forEach(hook => hook(route, previous, action));
+        bus.emit('route:change', { route, previous, action });
+    }
+
+    // Public methods
+
+    /**
+     * Go to a section or project and add a history entry
+     * @param {{section?: string, project?: string}|string} target - Route or URL path
+     * @param {Object} [options]
+     * @param {boolean} [options.replace] - Replace the current entry instead
+     */
+    navigate(target, { replace = false } = {}) {
+        const route = typeof target === 'string'
+            ? this.parse(new URL(target, window.location.href))
+            : {
+                section: target.project ? this.options.projectSection : target.section || null,
+                project: target.project || null
+            };
+
+        this.apply(route);
+        this.commit(route, replace ? 'replace' : 'push');
+    }
+
+    /**
+     * Run a hook after every route change
+     * @param {Function} hook - Called with (route, previous, action)
+     * @returns {Function} Unsubscribe function
+     */
+    onChange(hook) {
+        this.hooks.add(hook);
+        return () => this.hooks.delete(hook);
+    }
+
+    getRoute() {
+        return { ...this.route };
+    }
+
+    getUrl(route) {
+        return this.format(route);
+    }
+
+    destroy() {
+        this.disposables.dispose();
+        this.hooks.clear();
+        this.route = null;
+    }
+}
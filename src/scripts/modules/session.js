@@ -0,0 +1,110 @@
+/**
+ * Session Manager
+ * Saves where the visitor left the page and puts them back there on reload
+ * or when they return with the back button: same scroll position, section
+ * and open project
+ */
+
+import { bus } from '../core/bus.js';
+import { Disposables } from '../core/disposables.js';
+import { scrollEngine } from '../core/scroll.js';
+import { session } from '../core/session.js';
+
+export class SessionManager {
+    /**
+     * @param {import('./navigation.js').NavigationManager} navigation
+     * @param {import('./projects.js').ProjectManager} projects
+     */
+    constructor(navigation, projects) {
+        this.navigation = navigation;
+        this.projects = projects;
+        this.previousRestoration = null;
+        this.restoredY = null;
+        this.disposables = new Disposables();
+
+        this.init();
+    }
+
+    init() {
+        // Take over from the browser, which would restore before our layout is ready
+        if (session.options.scrollRestoration === 'manual' && 'scrollRestoration' in history) {
+            this.previousRestoration = history.scrollRestoration;
+            history.scrollRestoration = 'manual';
+        }
+
+        // pagehide covers reloads and leaving the site; hidden tabs may never come back
+        this.disposables.listen(window, 'pagehide', () => this.save());
+        this.disposables.add(bus.on('visibility:hidden', () => this.save()));
+
+        // Restore once every module has started, then again after late layout shifts
+        this.disposables.add(bus.once('app:ready', () => this.restore()));
+        this.disposables.add(bus.once('loader:complete', () => this.settle()));
+    }
+
+    getUrl() {
+        return `${location.pathname}${location.search}${location.hash}`;
+    }
+
+    save() {
+        session.save({
+            url: this.getUrl(),
+            scrollY: window.scrollY,
+            section: this.navigation.getCurrentSection(),
+            project: this.projects.getOpenProject()
+        });
+    }
+
+    /**
+     * Return to the saved state if it belongs to the current URL
+     * A link to a different section or project wins over what was saved.
+     * @returns {boolean} Whether saved state was applied
+     */
+    restore() {
+        const state = session.read();
+        if (!state || state.url !== this.getUrl()) {
+            return false;
+        }
+
+        if (state.project && !this.projects.getOpenProject()) {
+            this.projects.open(state.project);
+        }
+
+        if (session.options.scrollRestoration === 'manual') {
+            this.restoreScroll(state);
+            this.restoredY = window.scrollY;
+        }
+
+        return true;
+    }
+
+    // The exact position if the page is long enough, else the start of the saved section
+    restoreScroll({ scrollY, section }) {
+        if (scrollY <= scrollEngine.getMaxScroll()) {
+            scrollEngine.jumpTo(scrollY);
+        } else if (section && this.navigation.getSection(section)) {
+            this.navigation.scrollToSection(section, { behavior: 'auto', source: 'restore' });
+        }
+    }
+
+    // Images and fonts may have changed the page height since the first restore
+    settle() {
+        if (this.restoredY === null || window.scrollY !== this.restoredY) {
+            return;
+        }
+
+        const state = session.read();
+        if (state) {
+            this.restoreScroll(state);
+        }
+        this.restoredY = null;
+    }
+
+    destroy() {
+        this.disposables.dispose();
+
+        if (this.previousRestoration) {
+            history.scrollRestoration = this.previousRestoration;
+            this.previousRestoration = null;
+        }
+    }
+}
@@ -0,0 +1,162 @@
+/**
+ * Shortcut Help
+ * '?' shows an overlay listing every registered keyboard shortcut
+ */
+
+import { Disposables } from '../core/disposables.js';
+import { shortcuts } from '../core/shortcuts.js';
+
+export class ShortcutHelp {
+    constructor() {
+        this.element = null;
+        this.isOpen = false;
+        this.leaveScope = null;
+        this.previousFocus = null;
+        this.disposables = new Disposables();
+
+        this.init();
+    }
+
+    init() {
+        this.disposables.add(shortcuts.register('help.toggle', {
+            keys: '?',
+            description: 'Show keyboard shortcuts',
+            group: 'General',
+            scopes: ['global', 'help'],
+            handler: () => this.toggle()
+        }));
+
+        this.disposables.add(shortcuts.register('help.close', {
+            keys: 'Escape',
+            description: 'Close this overlay',
+            scopes: ['help'],
+            hidden: true,
+            handler: () => this.close()
+        }));
+    }
+
+    createElement() {
+        const element = document.createElement('div');
+        element.className = 'shortcut-help';
+        element.hidden = true;
+        element.innerHTML = `
+            <div class="shortcut-help-backdrop"></div>
+            <div class="shortcut-help-dialog" role="dialog" aria-modal="true"
+                aria-labelledby="shortcut-help-title" tabindex="-1">
+                <h2 class="shortcut-help-title" id="shortcut-help-title">Keyboard shortcuts</h2>
+                <div class="shortcut-help-groups"></div>
+            </div>
+        `;
+
+        document.body.appendChild(element);
+        this.element = element;
+
+        this.disposables.listen(element.querySelector('.shortcut-help-backdrop'), 'click', () => {
+            this.close();
+        });
+        this.disposables.add(() => element.remove());
+    }
+
+    // Rebuilt on every open so shortcuts registered later are included
+    render() {
+        const container = this.element.querySelector('.shortcut-help-groups');
+        const groups = new Map();
+
+        container.textContent = '';
+
+        shortcuts.list().forEach(shortcut => {
+            if (!groups.has(shortcut.group)) {
+                groups.set(shortcut.group, []);
+            }
+            groups.get(shortcut.group).push(shortcut);
+        });
+
+        groups.forEach((items, group) => {
+            const section = document.createElement('section');
+            const heading = document.createElement('h3');
+            const list = document.createElement('dl');
+
+            heading.textContent = group;
+
+            items.forEach(({ keys, description }) => {
+                const term = document.createElement('dt');
+                const detail = document.createElement('dd');
+
+                keys.forEach((key, index) => {
+                    if (index > 0) {
+                        term.appendChild(document.createTextNode(' or '));
+                    }
+                    const kbd = document.createElement('kbd');
+                    kbd.textContent = key;
+                    term.appendChild(kbd);
+                });
+
+                detail.textContent = description;
+                list.append(term, detail);
+            });
+
+            section.append(heading, list);
+            container.appendChild(section);
+        });
+    }
+
+    // Public methods
+    open() {
+        if (this.isOpen) {
+            return;
+        }
+
+        if (!this.element) {
+            this.createElement();
+        }
+
+        this.render();
+        this.isOpen = true;
+        this.previousFocus = document.activeElement;
+        this.element.hidden = false;
+        this.element.querySelector('.shortcut-help-dialog').focus();
+        this.leaveScope = shortcuts.pushScope('help');
+    }
+
+    close() {
+        if (!this.isOpen) {
+            return;
+        }
+
+        this.isOpen = false;
+        this.element.hidden = true;
+        this.leaveScope();
+        this.leaveScope = null;
+
+        if (this.previousFocus && this.previousFocus.focus) {
+            this.previousFocus.focus();
+        }
+        this.previousFocus = null;
+    }
+
+    toggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    // Command palette entry
+    getCommands() {
+        return [{
+            id: 'help:shortcuts',
+            title: 'Show keyboard shortcuts',
+            group: 'Actions',
+            keywords: ['keys', 'help'],
+            hint: shortcuts.describe('help.toggle'),
+            run: () => this.open()
+        }];
+    }
+
+    destroy() {
+        this.close();
+        this.disposables.dispose();
+        this.element = null;
+    }
+}
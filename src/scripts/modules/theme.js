@@ -1,14 +1,30 @@
 /**
  * Theme Manager
  * Handles theme switching, easter eggs, and visual effects
+ * Easter eggs show a still version of themselves under reduced motion; the
+ * matrix rain also stands still when the quality tier drops it.
  */
 
+import { bus } from '../core/bus.js';
+import { Disposables } from '../core/disposables.js';
+import { motion } from '../core/motion.js';
+import { quality } from '../core/quality.js';
+import { withDefaults } from '../core/config.js';
+import { shortcuts } from '../core/shortcuts.js';
+import { string } from '../../utils/index.js';
+
 export class ThemeManager {
-    constructor() {
+    /**
+     * @param {import('../core/config.js').ThemeConfig} [options]
+     */
+    constructor(options = {}) {
+        this.options = withDefaults('theme', options);
         this.isDarkTheme = true;
-        this.konamiCode = [];
-        this.konamiSequence = [38, 38, 40, 40, 37, 39, 37, 39, 66, 65]; // ↑↑↓↓←→←→BA
         this.easterEggs = new Map();
+        this.activeEasterEggs = new Set();
+        this.themeToggle = null;
+        this.matrixInterval = null;
+        this.disposables = new Disposables();
         
         this.init();
     }
@@ -17,33 +33,31 @@ export class ThemeManager {
         this.setupThemeToggle();
         this.setupEasterEggs();
         this.loadThemePreference();
+        
+        this.disposables.add(bus.on('motion:change', () => this.refreshEasterEggs()));
+        this.disposables.add(bus.on('quality:change', () => this.refreshEasterEggs()));
     }
 
     setupThemeToggle() {
-        // Keyboard shortcut: Ctrl+D
-        document.addEventListener('keydown', (e) => {
-            if (e.ctrlKey && e.key === 'd') {
-                e.preventDefault();
-                this.toggleTheme();
-            }
-        });
+        this.disposables.add(shortcuts.register('theme.toggle', {
+            keys: 't',
+            description: 'Toggle light and dark theme',
+            group: 'Appearance',
+            handler: () => this.toggleTheme()
+        }));
 
         // Add theme toggle button to navigation (optional)
         this.addThemeToggleButton();
     }
 
     setupEasterEggs() {
-        // Konami Code
-        document.addEventListener('keydown', (e) => {
-            this.konamiCode.push(e.keyCode);
-            if (this.konamiCode.length > this.konamiSequence.length) {
-                this.konamiCode.shift();
-            }
-            
-            if (this.konamiCode.toString() === this.konamiSequence.toString()) {
-                this.triggerKonamiEasterEgg();
-            }
-        });
+        // Konami Code, a secret so it stays out of the shortcut overlay
+        this.disposables.add(shortcuts.register('theme.konami', {
+            keys: this.options.konamiSequence.join(' '),
+            description: 'Konami code',
+            hidden: true,
+            handler: () => this.triggerKonamiEasterEgg()
+        }));
 
         // Add more easter eggs
         this.addRainbowMode();
@@ -52,12 +66,13 @@ export class ThemeManager {
     }
 
     addThemeToggleButton() {
-        const nav = document.querySelector('.nav');
+        // Inside the menu, so it is part of the mobile drawer
+        const nav = document.querySelector('.nav-menu') || document.querySelector('.nav');
         if (nav) {
             const themeToggle = document.createElement('button');
             themeToggle.className = 'theme-toggle';
             themeToggle.innerHTML = '🌙';
-            themeToggle.title = 'Toggle theme (Ctrl+D)';
+            themeToggle.title = `Toggle theme (${shortcuts.describe('theme.toggle')})`;
             themeToggle.style.cssText = `
                 background: none;
                 border: none;
@@ -70,8 +85,9 @@ export class ThemeManager {
                 margin-left: 0.5rem;
             `;
             
-            themeToggle.addEventListener('click', () => this.toggleTheme());
+            this.disposables.listen(themeToggle, 'click', () => this.toggleTheme());
             nav.appendChild(themeToggle);
+            this.themeToggle = themeToggle;
         }
     }
 
@@ -107,10 +123,13 @@ export class ThemeManager {
         if (themeToggle) {
             themeToggle.innerHTML = this.isDarkTheme ? '🌙' : '☀️';
         }
+        
+        root.dataset.theme = this.getCurrentTheme();
+        bus.emit('theme:change', { theme: this.getCurrentTheme() });
     }
 
     loadThemePreference() {
-        const savedTheme = localStorage.getItem('portfolio-theme');
+        const savedTheme = localStorage.getItem(this.options.storageKey);
         if (savedTheme) {
             this.isDarkTheme = savedTheme === 'dark';
             this.applyTheme();
@@ -118,19 +137,19 @@ export class ThemeManager {
     }
 
     saveThemePreference() {
-        localStorage.setItem('portfolio-theme', this.isDarkTheme ? 'dark' : 'light');
+        localStorage.setItem(this.options.storageKey, this.isDarkTheme ? 'dark' : 'light');
     }
 
     triggerKonamiEasterEgg() {
         console.log('%c🎮 Konami Code activated!', 'color: #00FF88; font-size: 20px; font-weight: bold;');
         
         // Rainbow mode
-        this.activateRainbowMode();
+        this.activateEasterEgg('rainbow');
         
         // Reset after 10 seconds
-        setTimeout(() => {
-            this.deactivateRainbowMode();
-        }, 10000);
+        this.disposables.setTimeout(() => {
+            this.deactivateEasterEgg('rainbow');
+        }, this.options.konamiDuration);
     }
 
     addRainbowMode() {
@@ -141,6 +160,11 @@ export class ThemeManager {
     }
 
     activateRainbowMode() {
+        if (motion.isReduced()) {
+            document.body.style.filter = 'hue-rotate(90deg)';
+            return;
+        }
+        
         document.body.style.animation = 'rainbow 2s infinite';
         
         // Add rainbow animation CSS if not exists
@@ -159,6 +183,7 @@ export class ThemeManager {
 
     deactivateRainbowMode() {
         document.body.style.animation = '';
+        document.body.style.filter = '';
     }
 
     addMatrixMode() {
@@ -169,6 +194,9 @@ export class ThemeManager {
     }
 
     activateMatrixMode() {
+        // Only one rain at a time
+        this.deactivateMatrixMode();
+        
         // Create matrix rain effect
         const canvas = document.createElement('canvas');
         canvas.id = 'matrix-canvas';
@@ -190,6 +218,11 @@ export class ThemeManager {
     }
 
     deactivateMatrixMode() {
+        if (this.matrixInterval !== null) {
+            this.disposables.clearInterval(this.matrixInterval);
+            this.matrixInterval = null;
+        }
+        
         const canvas = document.getElementById('matrix-canvas');
         if (canvas) {
             canvas.remove();
@@ -230,10 +263,20 @@ export class ThemeManager {
             }
         }
         
-        const interval = setInterval(draw, 35);
+        // A single screenful of characters instead of falling rain
+        if (motion.isReduced() || !quality.allows('matrixRain')) {
+            const rows = canvas.height / fontSize;
+            drops.forEach((drop, i) => {
+                drops[i] = Math.floor(Math.random() * rows);
+            });
+            for (let row = 0; row < rows; row++) {
+                draw();
+            }
+            return;
+        }
         
         // Store interval for cleanup
-        canvas.dataset.interval = interval;
+        this.matrixInterval = this.disposables.setInterval(draw, 35);
     }
 
     addGlitchMode() {
@@ -247,6 +290,14 @@ export class ThemeManager {
         // Add glitch effect to text elements
         const textElements = document.querySelectorAll('h1, h2, h3, p, .hero-title, .hero-subtitle');
         
+        // Split colour channels stand still; the jitter only runs with full motion
+        if (motion.isReduced()) {
+            textElements.forEach(element => {
+                element.style.textShadow = '2px 0 #ff00c1, -2px 0 #00fff9';
+            });
+            return;
+        }
+        
         textElements.forEach(element => {
             element.style.animation = 'glitch 0.3s infinite';
         });
@@ -273,6 +324,7 @@ export class ThemeManager {
         const textElements = document.querySelectorAll('h1, h2, h3, p, .hero-title, .hero-subtitle');
         textElements.forEach(element => {
             element.style.animation = '';
+            element.style.textShadow = '';
         });
     }
 
@@ -293,6 +345,8 @@ export class ThemeManager {
         const easterEgg = this.easterEggs.get(name);
         if (easterEgg && easterEgg.activate) {
             easterEgg.activate();
+            this.activeEasterEggs.add(name);
+            bus.emit('easter-egg:activate', { name });
         }
     }
 
@@ -300,9 +354,53 @@ export class ThemeManager {
         const easterEgg = this.easterEggs.get(name);
         if (easterEgg && easterEgg.deactivate) {
             easterEgg.deactivate();
+            this.activeEasterEggs.delete(name);
+            bus.emit('easter-egg:deactivate', { name });
         }
     }
 
+    // Restart active easter eggs in the form that suits the motion level
+    refreshEasterEggs() {
+        this.activeEasterEggs.forEach(name => {
+            const easterEgg = this.easterEggs.get(name);
+            easterEgg.deactivate();
+            easterEgg.activate();
+        });
+    }
+
+    toggleEasterEgg(name) {
+        if (this.activeEasterEggs.has(name)) {
+            this.deactivateEasterEgg(name);
+        } else {
+            this.activateEasterEgg(name);
+        }
+    }
+
+    // Command palette entries: the theme toggle and every registered easter egg
+    getCommands() {
+        const commands = [{
+            id: 'theme:toggle',
+            title: 'Toggle theme',
+            group: 'Actions',
+            keywords: ['dark', 'light', 'mode'],
+            hint: shortcuts.describe('theme.toggle'),
+            run: () => this.toggleTheme()
+        }];
+        
+        this.easterEggs.forEach((egg, name) => {
+            commands.push({
+                id: `easter-egg:${name}`,
+                title: `${string.capitalize(name)} mode`,
+                group: 'Actions',
+                keywords: ['easter egg', 'fun'],
+                hint: this.activeEasterEggs.has(name) ? 'On' : '',
+                run: () => this.toggleEasterEgg(name)
+            });
+        });
+        
+        return commands;
+    }
+
     // Method to add custom easter eggs
     addCustomEasterEgg(name, activateFn, deactivateFn) {
         this.easterEggs.set(name, {
@@ -320,15 +418,21 @@ export class ThemeManager {
             this.activateEasterEgg(randomEgg);
             
             // Deactivate after random time
-            setTimeout(() => {
+            this.disposables.setTimeout(() => {
                 this.deactivateEasterEgg(randomEgg);
             }, Math.random() * 5000 + 2000);
         }
     }
 
     destroy() {
-        // Remove event listeners
-        document.removeEventListener('keydown', this.handleKeydown);
+        // Remove listeners and pending timers
+        this.disposables.dispose();
+        
+        // Remove the injected toggle button
+        if (this.themeToggle) {
+            this.themeToggle.remove();
+            this.themeToggle = null;
+        }
         
         // Deactivate all active easter eggs
         this.easterEggs.forEach((egg, name) => {
@@ -347,6 +451,6 @@ export class ThemeManager {
         
         // Clear easter eggs
         this.easterEggs.clear();
-        this.konamiCode = [];
+        this.activeEasterEggs.clear();
     }
 }
@@ -0,0 +1,254 @@
+/**
+ * Tilt Manager
+ * Cards lean towards the pointer in 3D, drift a little after it and catch a
+ * glare where it points; when the pointer leaves, a spring settles them back.
+ * Keyboard focus raises a card the same way. Touch input, reduced motion and
+ * quality tiers without the tilt effect leave cards still.
+ */
+
+import { bus } from '../core/bus.js';
+import { Disposables } from '../core/disposables.js';
+import { motion } from '../core/motion.js';
+import { quality } from '../core/quality.js';
+import { withDefaults } from '../core/config.js';
+import { animation, math } from '../../utils/index.js';
+
+// Animated values of a card, all resting at 0
+const AXES = ['raise', 'rotateX', 'rotateY', 'shiftX', 'shiftY'];
+
+// Where on the card (0-1 across and down) keyboard focus puts the "pointer"
+const FOCUS_POINT = { x: 0.5, y: 0.2 };
+
+// Closer than this to the target counts as settled
+const REST_DISTANCE = 0.001;
+
+export class TiltManager {
+    /**
+     * @param {import('../core/config.js').TiltConfig} [options]
+     */
+    constructor(options = {}) {
+        this.options = withDefaults('tilt', options);
+        this.cards = new Map();
+        this.moving = new Set();
+        this.frameId = null;
+        this.disposables = new Disposables();
+
+        this.init();
+    }
+
+    init() {
+        document.querySelectorAll(this.options.selector).forEach(element => this.add(element));
+
+        const settle = () => {
+            if (!this.isEnabled()) {
+                this.cards.forEach(card => this.reset(card));
+            }
+        };
+        this.disposables.add(bus.on('motion:change', settle));
+        this.disposables.add(bus.on('quality:change', settle));
+    }
+
+    /**
+     * Make an element tilt, e.g. a card added after start-up
+     */
+    add(element) {
+        if (this.cards.has(element)) {
+            return;
+        }
+
+        const glare = document.createElement('span');
+        glare.className = 'tilt-glare';
+        glare.setAttribute('aria-hidden', 'true');
+        element.appendChild(glare);
+        element.classList.add('has-tilt');
+
+        const values = {};
+        AXES.forEach(axis => {
+            values[axis] = { value: 0, velocity: 0, target: 0 };
+        });
+
+        const card = {
+            element,
+            glare,
+            values,
+            point: { x: 0.5, y: 0.5 },
+            glarePoint: { x: 0.5, y: 0.5 },
+            isHovered: false,
+            isFocused: false
+        };
+        this.cards.set(element, card);
+
+        this.disposables.listen(element, 'pointermove', (e) => {
+            if (!this.accepts(e)) {
+                return;
+            }
+
+            const rect = element.getBoundingClientRect();
+            card.point = {
+                x: math.clamp((e.clientX - rect.left) / (rect.width || 1), 0, 1),
+                y: math.clamp((e.clientY - rect.top) / (rect.height || 1), 0, 1)
+            };
+            card.isHovered = true;
+            this.aim(card);
+        });
+
+        this.disposables.listen(element, 'pointerleave', () => {
+            card.isHovered = false;
+            this.aim(card);
+        });
+
+        // Only focus shown to keyboard users; clicking a card focuses it too
+        this.disposables.listen(element, 'focusin', (e) => {
+            if (e.target.matches(':focus-visible') && this.isEnabled()) {
+                card.isFocused = true;
+                this.aim(card);
+            }
+        });
+
+        this.disposables.listen(element, 'focusout', (e) => {
+            if (!element.contains(e.relatedTarget)) {
+                card.isFocused = false;
+                this.aim(card);
+            }
+        });
+    }
+
+    isEnabled() {
+        return !motion.isReduced() && quality.allows('tilt');
+    }
+
+    accepts(e) {
+        return e.pointerType !== 'touch' && this.isEnabled();
+    }
+
+    // Set the targets from the pointer, or from the focus point, or back to rest
+    aim(card) {
+        const isActive = card.isHovered || card.isFocused;
+        const point = card.isHovered ? card.point : FOCUS_POINT;
+        const { maxAngleX, maxAngleY, magnetic } = this.options;
+
+        // -1 to 1 from the centre of the card
+        const x = isActive ? point.x * 2 - 1 : 0;
+        const y = isActive ? point.y * 2 - 1 : 0;
+
+        // The glare fades out where it was
+        if (isActive) {
+            card.glarePoint = point;
+        }
+        card.values.raise.target = isActive ? 1 : 0;
+        card.values.rotateX.target = -y * maxAngleX;
+        card.values.rotateY.target = x * maxAngleY;
+        card.values.shiftX.target = x * magnetic;
+        card.values.shiftY.target = y * magnetic;
+
+        this.moving.add(card);
+        this.start();
+    }
+
+    start() {
+        if (this.frameId === null) {
+            this.frameId = this.disposables.requestFrame(() => this.step());
+        }
+    }
+
+    step() {
+        this.frameId = null;
+
+        this.moving.forEach(card => {
+            if (!this.advance(card)) {
+                this.moving.delete(card);
+            }
+            this.render(card);
+        });
+
+        if (this.moving.size) {
+            this.start();
+        }
+    }
+
+    /**
+     * Move every value one frame: following the pointer while active, on a spring after
+     * @returns {boolean} Whether the card is still moving
+     */
+    advance(card) {
+        const isActive = card.isHovered || card.isFocused;
+        const { lerp, stiffness, damping } = this.options;
+        let isMoving = false;
+
+        AXES.forEach(axis => {
+            const entry = card.values[axis];
+
+            const { value, velocity, target } = entry;
+            if (isActive) {
+                entry.value = animation.lerp(value, target, lerp);
+                entry.velocity = entry.value - value;
+            } else {
+                Object.assign(entry, animation.spring(value, velocity, target, stiffness, damping));
+            }
+
+            if (Math.abs(entry.target - entry.value) > REST_DISTANCE ||
+                Math.abs(entry.velocity) > REST_DISTANCE) {
+                isMoving = true;
+            } else {
+                entry.value = entry.target;
+                entry.velocity = 0;
+            }
+        });
+
+        return isMoving;
+    }
+
+    render(card) {
+        const { element, values } = card;
+        const { raise, rotateX, rotateY, shiftX, shiftY } = values;
+
+        if (AXES.every(axis => values[axis].value === 0)) {
+            this.clearStyles(card);
+            return;
+        }
+
+        const { perspective, lift, scale, glare } = this.options;
+        const offsetY = shiftY.value - raise.value * lift;
+        const size = 1 + raise.value * (scale - 1);
+
+        element.style.transform = `perspective(${perspective}px) ` +
+            `translate3d(${shiftX.value.toFixed(2)}px, ${offsetY.toFixed(2)}px, 0) ` +
+            `rotateX(${rotateX.value.toFixed(2)}deg) rotateY(${rotateY.value.toFixed(2)}deg) ` +
+            `scale(${size.toFixed(4)})`;
+        element.style.setProperty('--glare-x', `${(card.glarePoint.x * 100).toFixed(1)}%`);
+        element.style.setProperty('--glare-y', `${(card.glarePoint.y * 100).toFixed(1)}%`);
+        element.style.setProperty('--glare-opacity', (raise.value * glare).toFixed(3));
+    }
+
+    clearStyles({ element }) {
+        element.style.transform = '';
+        element.style.removeProperty('--glare-x');
+        element.style.removeProperty('--glare-y');
+        element.style.removeProperty('--glare-opacity');
+    }
+
+    // Drop straight back to rest, without the spring
+    reset(card) {
+        card.isHovered = false;
+        card.isFocused = false;
+        AXES.forEach(axis => {
+            Object.assign(card.values[axis], { value: 0, velocity: 0, target: 0 });
+        });
+        this.moving.delete(card);
+        this.clearStyles(card);
+    }
+
+    destroy() {
+        // Remove listeners and stop the frame loop
+        this.disposables.dispose();
+        this.frameId = null;
+
+        this.cards.forEach(card => {
+            this.clearStyles(card);
+            card.glare.remove();
+            card.element.classList.remove('has-tilt');
+        });
+        this.cards.clear();
+        this.moving.clear();
+    }
+}
@@ -79,12 +79,31 @@ export const dom = {
     },
 
     /**
-     * Smooth scroll to element
+     * Height covered by a fixed or sticky header, measured from the top of the viewport
      */
-    scrollToElement(element, offset = 0) {
+    getHeaderOffset(selector = '.nav', gap = 20) {
+        const header = document.querySelector(selector);
+        const position = header ? getComputedStyle(header).position : 'static';
+        if (position !== 'fixed' && position !== 'sticky') {
+            return 0;
+        }
+        
+        // A nav docked to the bottom of the screen covers nothing at the top
+        const rect = header.getBoundingClientRect();
+        if (rect.top > window.innerHeight / 2) {
+            return 0;
+        }
+        
+        return Math.max(rect.bottom, 0) + gap;
+    },
+
+    /**
+     * Smooth scroll to element, keeping it clear of the fixed nav
+     */
+    scrollToElement(element, offset = this.getHeaderOffset()) {
         if (!element) return;
         
-        const elementTop = element.offsetTop - offset;
+        const elementTop = element.getBoundingClientRect().top + window.scrollY - offset;
         window.scrollTo({
             top: elementTop,
             behavior: 'smooth'
@@ -101,6 +120,17 @@ export const animation = {
         return start + (end - start) * factor;
     },
 
+    /**
+     * One frame of a damped spring pulling value towards target
+     * @param {number} stiffness - Share of the distance added to the velocity per frame
+     * @param {number} damping - Share of the velocity lost per frame
+     * @returns {{value: number, velocity: number}}
+     */
+    spring(value, velocity, target, stiffness, damping) {
+        const next = (velocity + (target - value) * stiffness) * (1 - damping);
+        return { value: value + next, velocity: next };
+    },
+
     /**
      * Easing functions
      */